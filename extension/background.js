@@ -0,0 +1,175 @@
+/**
+ * Atomi Quiz Auto Solver - Background Worker
+ * Owns every LLM request: one queue across tabs, a concurrency limit, retries with backoff,
+ * token usage counters and the daily token budget. Also forwards keyboard shortcuts to the tab
+ */
+
+if (typeof importScripts === 'function') importScripts('providers.js');
+
+const ext = typeof browser !== 'undefined' ? browser : chrome;
+
+const MAX_CONCURRENT_REQUESTS = 2;
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+const RETRYABLE_CATEGORIES = new Set(['rate-limited', 'server', 'network']);
+const STREAM_UPDATE_MS = 100;
+
+const queue = [];
+let activeRequests = 0;
+let pumpTimer = 0;
+// A 429 holds back every queued request to that provider, not just the one that hit it
+const providerCooldowns = new Map();
+
+// Usage writes are chained so concurrent completions don't overwrite each other's counts
+let usageWrite = Promise.resolve();
+
+function recordUsage(config, model, tokens, rateLimit) {
+  usageWrite = usageWrite.then(async () => {
+    const { [USAGE_KEY]: stored } = await ext.storage.local.get(USAGE_KEY);
+    const usage = { days: {}, quota: {}, ...stored };
+    const day = usageDayKey();
+    const models = usage.days[day] ||= {};
+    const counts = models[model] ||= { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    counts.requests++;
+    counts.promptTokens += tokens?.prompt_tokens || 0;
+    counts.completionTokens += tokens?.completion_tokens || 0;
+    counts.totalTokens += tokens?.total_tokens || (tokens?.prompt_tokens || 0) + (tokens?.completion_tokens || 0);
+    if (rateLimit) usage.quota[config.id] = { ...rateLimit, name: config.name, updatedAt: Date.now() };
+    for (const old of Object.keys(usage.days).sort().slice(0, -USAGE_DAYS)) delete usage.days[old];
+    await ext.storage.local.set({ [USAGE_KEY]: usage });
+  }).catch(() => {});
+  return usageWrite;
+}
+
+async function checkTokenBudget() {
+  await usageWrite;
+  const { [USAGE_KEY]: usage, [TOKEN_BUDGET_KEY]: budget } = await ext.storage.local.get([USAGE_KEY, TOKEN_BUDGET_KEY]);
+  const problem = tokenBudgetError(usage, budget);
+  if (!problem) return;
+  const err = new Error(problem);
+  err.category = 'budget';
+  throw err;
+}
+
+function readyAt(job) {
+  return Math.max(job.readyAt || 0, providerCooldowns.get(job.config.baseUrl) || 0);
+}
+
+function pumpQueue() {
+  const now = Date.now();
+  while (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    const index = queue.findIndex(job => readyAt(job) <= now);
+    if (index < 0) break;
+    const [job] = queue.splice(index, 1);
+    runJob(job);
+  }
+  clearTimeout(pumpTimer);
+  pumpTimer = 0;
+  if (queue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS) {
+    const wait = Math.min(...queue.map(readyAt)) - now;
+    pumpTimer = setTimeout(() => {
+      pumpTimer = 0;
+      pumpQueue();
+    }, Math.max(50, wait));
+  }
+}
+
+// Exponential backoff with jitter, unless the provider said how long to wait
+function retryDelay(err, attempt) {
+  if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) return err.retryAfterMs + 250;
+  return BASE_RETRY_DELAY_MS * 2 ** (attempt - 1) + Math.random() * 250;
+}
+
+// Lets the tab show why its request is taking longer
+function notifyRetry(job, err, delay) {
+  if (job.tabId === undefined) return;
+  ext.tabs.sendMessage(job.tabId, {
+    action: 'requestRetry',
+    category: err.category,
+    delayMs: Math.round(delay),
+    attempt: job.attempt,
+    maxRetries: MAX_RETRIES,
+  }).catch(() => {});
+}
+
+// Streamed text goes to the tab as it arrives, at most every STREAM_UPDATE_MS; the full reply
+// still comes back as the request's response. A retry starts the text again from the beginning
+function streamToTab(job) {
+  if (job.streamId === undefined || job.tabId === undefined) return undefined;
+  let sentAt = 0;
+  return ({ content, reasoning }) => {
+    if (Date.now() - sentAt < STREAM_UPDATE_MS) return;
+    sentAt = Date.now();
+    ext.tabs.sendMessage(job.tabId, { action: 'chatCompletionText', streamId: job.streamId, content, reasoning }).catch(() => {});
+  };
+}
+
+async function runJob(job) {
+  activeRequests++;
+  const model = job.body.model || job.config.model;
+  try {
+    await checkTokenBudget();
+    const { data, rateLimit } = await fetchChatCompletion(job.config, job.body, streamToTab(job));
+    await recordUsage(job.config, model, data.usage, rateLimit);
+    job.resolve(data);
+  } catch (err) {
+    if (err.status) await recordUsage(job.config, model, null, err.rateLimit);
+    const delay = retryDelay(err, job.attempt + 1);
+    if (RETRYABLE_CATEGORIES.has(err.category) && job.attempt < MAX_RETRIES && delay <= MAX_RETRY_DELAY_MS) {
+      job.attempt++;
+      job.readyAt = Date.now() + delay;
+      if (err.category === 'rate-limited') {
+        providerCooldowns.set(job.config.baseUrl, Math.max(providerCooldowns.get(job.config.baseUrl) || 0, job.readyAt));
+      }
+      notifyRetry(job, err, delay);
+      queue.unshift(job);
+    } else {
+      if (delay > MAX_RETRY_DELAY_MS && RETRYABLE_CATEGORIES.has(err.category)) {
+        err.message += ` – try again in ${Math.ceil(delay / 1000)} s`;
+      }
+      job.reject(err);
+    }
+  } finally {
+    activeRequests--;
+    pumpQueue();
+  }
+}
+
+function enqueueChatCompletion(config, body, tabId, streamId) {
+  return new Promise((resolve, reject) => {
+    queue.push({ config, body, tabId, streamId, attempt: 0, resolve, reject });
+    pumpQueue();
+  });
+}
+
+// Wistia serves captions from its own host, where the page's CORS rules would block the content script
+async function fetchWistiaCaptions(mediaId) {
+  if (!/^[a-z0-9]+$/i.test(mediaId || '')) throw new Error('Invalid Wistia media id');
+  const res = await fetch(`https://fast.wistia.com/embed/captions/${mediaId}.json`);
+  if (!res.ok) throw new Error(`Wistia captions unavailable (HTTP ${res.status})`);
+  return res.json();
+}
+
+ext.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action === 'wistiaCaptions') {
+    fetchWistiaCaptions(msg.mediaId).then(
+      data => sendResponse({ data }),
+      err => sendResponse({ error: { message: err.message } }),
+    );
+    return true;
+  }
+  if (msg.action !== 'chatCompletion') return false;
+  enqueueChatCompletion(msg.config, msg.body, sender.tab?.id, msg.streamId).then(
+    data => sendResponse({ data }),
+    err => sendResponse({ error: { message: err.message, category: err.category || 'request' } }),
+  );
+  return true;
+});
+
+// Keyboard shortcuts act on the active tab's content script
+ext.commands?.onCommand.addListener(async (command, tab) => {
+  const tabId = tab?.id ?? (await ext.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+  if (tabId === undefined) return;
+  ext.tabs.sendMessage(tabId, { action: 'command', command }).catch(() => {});
+});
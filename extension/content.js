@@ -1,34 +1,49 @@
 /**
  * Atomi Quiz Auto Solver - Content Script
- * Detects Atomi quiz pages, calls Groq API, and auto-fills answers
+ * Detects Atomi quiz pages, calls the configured LLM provider, and auto-fills answers
  * Supports Chrome and Firefox
  */
 
 const ext = typeof browser !== 'undefined' ? browser : chrome;
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-const DEFAULT_MODEL = 'llama-3.3-70b-versatile';
-const SYSTEM_PROMPT = `You solve quiz questions. You are given a question and possible answers numbered 1, 2, 3, etc.
-Respond with ONLY the number of the correct answer. Nothing else. No explanation. Just the digit.
-Example: if the 3rd answer is correct, respond with: 3`;
-
-const WORKING_OUT_PROMPT = `You solve maths/physics working-out questions. Output ONLY the raw working to put in the answer field.
-- Use LaTeX notation (e.g. \\frac{a}{b}, x^2, \\sqrt{x}, =, \\therefore)
-- Put each step on a new line: use \\\\ between steps, or use \\begin{align*}...\\\\...\\\\ \\end{align*}
-- Example format: y(t)=y_0+vt-\\frac{1}{2}gt^2 \\\\ y=y_0 \\Rightarrow t(v-\\frac{1}{2}gt)=0 \\\\ t=\\frac{2v}{g}
-- Include any required assumptions in one short line if needed (e.g. "Assume g=10")
-- No explanations, no "Step 1:", no preamble - just the maths and working
-- Output a single block that can be pasted directly into a math input field`;
-
-// Quiz detection selectors (flexible for Atomi's structure)
+
+const ANSWER_CACHE_KEY = 'answerCache';
+const ANSWER_CACHE_LIMIT = 2000;
+
+const HISTORY_KEY = 'solveHistory';
+const HISTORY_LIMIT = 1000;
+
+// Video transcripts and the study notes made from them, keyed by lesson URL
+const LESSON_NOTES_KEY = 'lessonNotes';
+const LESSON_NOTES_LIMIT = 100;
+const MAX_TRANSCRIPT_CHARS = 40000;
+
+// Autopilot state lives in storage so a run survives full page loads; the run id in
+// sessionStorage ties it to the tab that started it
+const AUTOPILOT_KEY = 'autopilot';
+const AUTOPILOT_SESSION_KEY = 'atomiAutopilotRun';
+const AUTOPILOT_PAGE_TIMEOUT_MS = 10000;
+const AUTOPILOT_PROGRESS_SHOWN = 8;
+// How long video auto-advance waits for a player it can control (a cross-origin embed never gives one)
+const VIDEO_LOAD_TIMEOUT_MS = 30000;
+// How long the first ready Wistia player waits for the page's other embeds before playing
+const WISTIA_READY_WAIT_MS = 1500;
+
+const MAX_VISION_IMAGES = 6;
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+const MAX_IMAGE_DIMENSION = 1568;
+
+const ENSEMBLE_MAX_SAMPLES = 10;
+const ENSEMBLE_SAMPLE_TEMPERATURE = 0.7;
+
+// Quiz detection selectors (flexible for Atomi's structure). The CSS ones come from the selector
+// profile in settings.js and are replaced by the user's overrides once storage has been read
 const QUIZ_SELECTORS = {
-  article: 'article',
-  answerList: 'ul[aria-labelledby]',
-  answerItems: 'ul[aria-labelledby] > li',
-  answerButton: 'button[type="button"]',
+  ...DEFAULT_SELECTORS,
   checkAnswerBtn: (doc) => Array.from(doc.querySelectorAll('button')).find(b => b.textContent?.includes('Check Answer')),
   nextButton: (doc) => Array.from(doc.querySelectorAll('button')).find(b => {
     const t = b.textContent?.trim().toLowerCase() || '';
-    return (t.includes('next') || t.includes('continue') || t === '→') && !t.includes('check');
+    return (t.includes('next') || t.includes('continue') || t === '→') && !t.includes('check') &&
+      !b.closest('#atomi-autosolver-panel');
   }),
   backButton: (doc) => Array.from(doc.querySelectorAll('button')).find(b => b.textContent?.includes('Back')),
 };
@@ -45,12 +60,30 @@ function findInDocument(root, selector) {
   return null;
 }
 
+// Every match in document order, shadow-root contents following their host
+function findAllInDocument(root, selector) {
+  const found = [];
+  for (const node of root.querySelectorAll?.('*') || []) {
+    if (node.matches(selector)) found.push(node);
+    if (node.shadowRoot) found.push(...findAllInDocument(node.shadowRoot, selector));
+  }
+  return found;
+}
+
+// The element itself, or the outermost shadow host holding it, for ordering against page text
+function documentAnchor(el) {
+  let node = el;
+  while (node.getRootNode() instanceof ShadowRoot) node = node.getRootNode().host;
+  return node;
+}
+
+// The panel's working-out previews are math-fields too; they are never answer fields
+const ANSWER_MATH_FIELD = 'math-field:not(.atomi-working-math)';
+
 function isWorkingOutPage() {
-  const mathField = findInDocument(document, 'math-field') || document.querySelector('math-field');
+  const mathField = findInDocument(document, ANSWER_MATH_FIELD);
   if (!mathField) return false;
-  const selfMarkBtn = Array.from(document.querySelectorAll('button')).find(b =>
-    (b.textContent || '').includes('Self-mark'));
-  return !!selfMarkBtn;
+  return !!getSelfMarkButton();
 }
 
 function hasInertAncestor(el) {
@@ -72,7 +105,7 @@ function getMathField() {
   if (label?.control?.tagName === 'MATH-FIELD') return label.control;
   const byAria = document.querySelector('math-field[aria-label*="Your answer"]');
   if (byAria && !hasInertAncestor(byAria)) return byAria;
-  const all = document.querySelectorAll('math-field');
+  const all = findAllInDocument(document, ANSWER_MATH_FIELD);
   for (const mf of all) {
     if (hasInertAncestor(mf)) continue;
     const rect = mf.getBoundingClientRect();
@@ -81,48 +114,220 @@ function getMathField() {
       return mf;
     }
   }
-  return document.querySelector('math-field');
+  return all[0] || null;
+}
+
+const MARKDOWN_BLOCK_TAGS = new Set([
+  'P', 'DIV', 'SECTION', 'ARTICLE', 'FIGURE', 'FIGCAPTION', 'BLOCKQUOTE', 'HEADER', 'FOOTER',
+  'MAIN', 'ASIDE', 'DL', 'DT', 'DD', 'HR', 'LI',
+]);
+const MARKDOWN_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'SELECT']);
+
+// Tidy whitespace without losing list indentation or blank lines between blocks
+function normalizeMarkdown(text) {
+  return text.split('\n').map(line => {
+    const tidy = line.replace(/(\S)[ \t]+/g, '$1 ').trimEnd();
+    return /^\s*([-*]|\d+\.) /.test(tidy) ? tidy : tidy.trimStart();
+  }).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// TeX source of rendered KaTeX/MathML, from its annotation or alttext
+function texFromMath(el) {
+  const annotation = el.querySelector('annotation[encoding="application/x-tex"], annotation[encoding="TeX"]');
+  if (annotation) return annotation.textContent.trim();
+  const math = el.tagName.toUpperCase() === 'MATH' ? el : el.querySelector('math');
+  return math?.getAttribute('alttext')?.trim() || null;
+}
+
+function childrenMarkdown(el, ctx) {
+  return Array.from(el.childNodes).map(n => nodeMarkdown(n, ctx)).join('');
+}
+
+function listMarkdown(list, ctx) {
+  const ordered = list.tagName.toUpperCase() === 'OL';
+  let n = parseInt(list.getAttribute('start'), 10) || 1;
+  const indent = '  '.repeat(ctx.listDepth);
+  const lines = [];
+  for (const li of list.children) {
+    if (li.tagName.toUpperCase() !== 'LI') continue;
+    const body = normalizeMarkdown(childrenMarkdown(li, { ...ctx, listDepth: ctx.listDepth + 1 }));
+    const [first = '', ...rest] = body.split('\n').filter(l => l.trim());
+    lines.push(`${indent}${ordered ? `${n++}.` : '-'} ${first}`);
+    for (const line of rest) lines.push(/^\s*([-*]|\d+\.) /.test(line) ? line : `${indent}  ${line}`);
+  }
+  return lines.join('\n');
+}
+
+function tableMarkdown(table, ctx) {
+  const rows = Array.from(table.querySelectorAll('tr')).filter(tr => tr.closest('table') === table);
+  const grid = rows.map(tr => Array.from(tr.children)
+    .filter(cell => /^T[HD]$/i.test(cell.tagName))
+    .map(cell => normalizeMarkdown(childrenMarkdown(cell, ctx)).replace(/\s*\n+\s*/g, ' ').replace(/\|/g, '\\|')))
+    .filter(r => r.length > 0);
+  if (grid.length === 0) return '';
+  const width = Math.max(...grid.map(r => r.length));
+  const line = r => `| ${[...r, ...Array(width - r.length).fill('')].join(' | ')} |`;
+  return [line(grid[0]), line(Array(width).fill('---')), ...grid.slice(1).map(line)].join('\n');
+}
+
+function nodeMarkdown(node, ctx) {
+  if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+  const el = node;
+  const tag = el.tagName.toUpperCase();
+  const replaced = ctx.replace?.(el);
+  if (replaced !== undefined && replaced !== null) return replaced;
+  if (MARKDOWN_SKIP_TAGS.has(tag) || ctx.skip?.(el) || el.id === 'atomi-autosolver-panel') return '';
+
+  if (el.classList.contains('katex') || tag === 'MATH') {
+    const tex = texFromMath(el);
+    if (!tex) return (el.querySelector('.katex-html') || el).textContent.replace(/\s+/g, ' ');
+    const display = el.closest('.katex-display') || el.getAttribute('display') === 'block';
+    return display ? `\n\n$$${tex}$$\n\n` : `$${tex}$`;
+  }
+  if (el.getAttribute('aria-hidden') === 'true') return '';
+
+  if (tag === 'BR') return '\n';
+  if (tag === 'IMG') return isContentImage(el) ? ` [Image: ${imageAltText(el) || 'no description'}] ` : '';
+  if (tag === 'TABLE') return `\n\n${tableMarkdown(el, ctx)}\n\n`;
+  if (tag === 'UL' || tag === 'OL') return `\n\n${listMarkdown(el, ctx)}\n\n`;
+  if (tag === 'PRE') return `\n\n\`\`\`\n${el.textContent.trim()}\n\`\`\`\n\n`;
+
+  const inner = childrenMarkdown(el, ctx);
+  if (tag === 'SUP') return `^{${inner.trim()}}`;
+  if (tag === 'SUB') return `_{${inner.trim()}}`;
+  if ((tag === 'STRONG' || tag === 'B') && inner.trim()) return `**${inner.trim()}**`;
+  if (tag === 'CODE') return `\`${inner.trim()}\``;
+  if (/^H[1-6]$/.test(tag)) return `\n\n${'#'.repeat(Number(tag[1]))} ${inner.trim()}\n\n`;
+  if (MARKDOWN_BLOCK_TAGS.has(tag)) return `\n\n${inner}\n\n`;
+  return inner;
+}
+
+// Turns Atomi's rendered Markdown back into Markdown + LaTeX for the model.
+// skip(el) drops an element; replace(el) may return text to stand in for it (e.g. blank markers)
+function extractStructuredText(root, { skip, replace } = {}) {
+  if (!root) return '';
+  return normalizeMarkdown(nodeMarkdown(root, { skip, replace, listDepth: 0 }));
 }
 
-function getWorkingOutQuestionText() {
-  const roots = document.querySelectorAll('[class*="Markdown_root"]');
+// withMarks: false for multi-part questions, whose marks are given per part
+function getWorkingOutQuestionText({ withMarks = true } = {}) {
+  const roots = document.querySelectorAll(QUIZ_SELECTORS.markdownRoot);
   const parts = [];
   for (const root of roots) {
-    const paras = root.querySelectorAll('[class*="Markdown_paragraph"], p');
-    for (const p of paras) {
-      const t = p.textContent?.trim();
-      if (t && !parts.includes(t)) parts.push(t);
-    }
-    const imgs = root.querySelectorAll('img[alt]');
-    for (const img of imgs) {
-      const alt = img.getAttribute('alt')?.trim();
-      if (alt) parts.push(`[Image: ${alt}]`);
-    }
+    const t = extractStructuredText(root);
+    if (t && !parts.some(p => p.includes(t))) parts.push(t);
   }
-  const marksEl = document.querySelector('[class*="marks"]') || Array.from(document.querySelectorAll('p')).find(p => /^\d+\s*marks?$/i.test(p?.textContent?.trim() || ''));
+  const marksEl = withMarks && (document.querySelector(QUIZ_SELECTORS.marks) || Array.from(document.querySelectorAll('p')).find(p => /^\d+\s*marks?$/i.test(p?.textContent?.trim() || '')));
   if (marksEl) parts.push((marksEl.textContent || '').trim());
   return parts.filter(Boolean).join('\n').trim();
 }
 
+const MARKS_TEXT = /^\(?(\d+)\s*marks?\)?$/i;
+// "(a)", "b)", "(ii)" or "Part c" at the start of a sub-question
+const PART_LABEL = /^\s*(?:\(?([a-h]|i{1,3}|iv|vi{0,3}|ix|x)\)|part\s+([a-h]|\d+)\b)/i;
+
+function partLabel(text) {
+  const m = (text || '').match(PART_LABEL);
+  return m ? `(${(m[1] || m[2]).toLowerCase()})` : null;
+}
+
+// Multi-part questions have an answer field per part. Each part gets the text and marks shown between
+// the previous field and its own; part (a) only from its label on, since what comes before is the shared stem.
+// Returns [{ label, text, marks, mathField }] in page order, or null for a single answer field
+function getWorkingOutParts() {
+  const fields = findAllInDocument(document, ANSWER_MATH_FIELD)
+    .filter(mf => !hasInertAncestor(mf) && !mf.closest('#atomi-autosolver-panel'));
+  if (fields.length < 2) return null;
+  const parts = fields.map(mathField => ({ mathField, texts: [], marks: null }));
+  const marksEls = [...document.querySelectorAll(QUIZ_SELECTORS.marks), ...document.querySelectorAll('p')]
+    .filter(el => MARKS_TEXT.test(el.textContent?.trim() || ''));
+  const blocks = [...document.querySelectorAll(QUIZ_SELECTORS.markdownRoot), ...marksEls]
+    .filter(el => !el.closest('#atomi-autosolver-panel'))
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  for (const el of blocks) {
+    // Text after the last field is the worked solution, not a question
+    const part = parts.find(p => el.compareDocumentPosition(documentAnchor(p.mathField)) & Node.DOCUMENT_POSITION_FOLLOWING);
+    if (!part) continue;
+    const text = extractStructuredText(el);
+    const marks = text.match(MARKS_TEXT);
+    if (marks) part.marks = parseInt(marks[1], 10);
+    else if (text && !part.texts.includes(text)) part.texts.push(text);
+  }
+  // Before a labelled part (a) the first blocks are the shared stem, which the question text carries
+  const first = parts[0].texts;
+  const labelled = first.findIndex(t => partLabel(t));
+  if (labelled >= 0) parts[0].texts = first.slice(labelled);
+
+  return parts.map((part, i) => {
+    const text = part.texts.join('\n');
+    const fieldLabel = Array.from(document.querySelectorAll('label')).find(l => l.htmlFor && l.htmlFor === part.mathField.id)?.textContent;
+    const label = partLabel(part.mathField.getAttribute('aria-label')?.replace(/^your answer\s*/i, '')) ||
+      partLabel(fieldLabel?.replace(/^your answer\s*/i, '')) || partLabel(text) || `(${String.fromCharCode(97 + i)})`;
+    const marks = part.marks ?? parseInt(text.match(/\((\d+)\s*marks?\)/i)?.[1], 10);
+    return { label, text, marks: Number.isNaN(marks) ? null : marks, mathField: part.mathField };
+  });
+}
+
 let panel = null;
 let isAutoRunning = false;
+let studyModeEnabled = false;
+let reviewModeEnabled = false;
+let pendingDecision = null;
 let videoAutoAdvanceEnabled = false;
-let videoEndedListener = null;
-let wistiaConfigRef = null;
+
+// Options page values; kept current so edits apply without reloading the page
+let settings = { ...DEFAULT_SETTINGS };
+let subjectProfiles = resolveProfiles();
+// As stored, so Diagnose Page can report overrides that were not applied
+let storedSelectorProfile = null;
+function applySelectorProfile(stored) {
+  storedSelectorProfile = stored || null;
+  Object.assign(QUIZ_SELECTORS, resolveSelectors(stored));
+}
+ext.storage.local.get([SETTINGS_KEY, PROFILES_KEY, SELECTORS_KEY]).then(data => {
+  settings = resolveSettings(data[SETTINGS_KEY]);
+  subjectProfiles = resolveProfiles(data[PROFILES_KEY]);
+  applySelectorProfile(data[SELECTORS_KEY]);
+  // Overrides may make a page supported that the built-in selectors missed
+  if (!panel && data[SELECTORS_KEY]) runInit();
+}).catch(() => {});
+ext.storage.onChanged?.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes[SETTINGS_KEY]) settings = resolveSettings(changes[SETTINGS_KEY].newValue);
+  if (changes[PROFILES_KEY]) {
+    subjectProfiles = resolveProfiles(changes[PROFILES_KEY].newValue);
+    schedulePanelRefresh();
+  }
+  if (changes[SELECTORS_KEY]) {
+    applySelectorProfile(changes[SELECTORS_KEY].newValue);
+    if (panel) schedulePanelRefresh();
+    else runInit();
+  }
+});
 
 function isVideoPage() {
-  const hasVideoPlayer = document.querySelector('[class*="VideoPlayer"]') || document.querySelector('[class*="PostVideoPlayer"]');
-  const hasWistia = document.querySelector('.wistia_embed') || document.querySelector('[id*="wistia"]');
-  const hasPagination = document.querySelector('[data-test="post-pagination"]');
+  const hasVideoPlayer = document.querySelector(QUIZ_SELECTORS.videoPlayer);
+  const hasWistia = document.querySelector(QUIZ_SELECTORS.wistiaEmbed);
+  const hasPagination = document.querySelector(QUIZ_SELECTORS.pagination);
   const video = document.querySelector('video');
-  const hasIframe = document.querySelector('iframe[src*="wistia"]');
+  const hasIframe = document.querySelector(QUIZ_SELECTORS.wistiaIframe);
   return !!(hasVideoPlayer || hasWistia || hasPagination) && !!(video || hasIframe);
 }
 
+// Why isVideoPage() does or doesn't match, for Diagnose Page
+function diagnoseVideoPage() {
+  const containers = ['videoPlayer', 'wistiaEmbed', 'pagination'].filter(key => document.querySelector(QUIZ_SELECTORS[key]));
+  const found = containers.length ? `matches ${containers.join(', ')}` : 'nothing matches videoPlayer, wistiaEmbed or pagination';
+  const media = document.querySelector('video') ? 'has a video element'
+    : document.querySelector(QUIZ_SELECTORS.wistiaIframe) ? 'has a wistiaIframe' : 'no video element or wistiaIframe';
+  return `${found}; ${media}`;
+}
+
 function getVideoNextButton() {
-  const links = document.querySelectorAll('a[data-test="post-pagination-link"]');
+  const links = document.querySelectorAll(QUIZ_SELECTORS.paginationLink);
   for (const el of links) {
-    if (el.className && el.className.includes('isDirectionSwitched')) return el;
+    if (el.matches(QUIZ_SELECTORS.upNextLink)) return el;
     if ((el.textContent || '').toLowerCase().includes('up next')) return el;
   }
   for (const el of document.querySelectorAll('a[href], button')) {
@@ -145,17 +350,253 @@ function clickNextLink(el) {
   }
 }
 
-function setupVideoAutoAdvance(statusCallback) {
-  const advanceToNext = () => {
-    if (videoEndedListener?.interval) {
-      clearInterval(videoEndedListener.interval);
-      videoEndedListener.interval = null;
+// Every lesson video in document order, including ones inside players' shadow roots
+function findPageVideos() {
+  const videos = [];
+  const walk = (root) => {
+    try {
+      for (const el of root.querySelectorAll('*')) {
+        if (el.tagName === 'VIDEO') videos.push(el);
+        if (el.shadowRoot) walk(el.shadowRoot);
+      }
+    } catch (_) {}
+  };
+  if (document.body) walk(document.body);
+  return videos;
+}
+
+function findPageVideo() {
+  return findPageVideos()[0] || null;
+}
+
+function wistiaEmbedCount() {
+  return document.querySelectorAll(`[class*="wistia_async_"], wistia-player, ${QUIZ_SELECTORS.wistiaIframe}`).length;
+}
+
+function hasWistiaEmbed() {
+  return !!(document.querySelector(QUIZ_SELECTORS.wistiaEmbed) || document.querySelector(QUIZ_SELECTORS.wistiaIframe));
+}
+
+// Players behind one interface, so the controller doesn't care what kind it drives
+function nativeVideoPlayer(video) {
+  return {
+    kind: 'native',
+    target: video,
+    element: video,
+    play() {
+      const start = () => Promise.resolve(video.play());
+      if (!settings.videoUnmute) video.muted = true;
+      else if (video.muted) video.muted = false;
+      // Autoplay with sound is often blocked; fall back to playing muted
+      start().catch(() => {
+        video.muted = true;
+        return start();
+      }).catch(() => {});
+    },
+    setRate(rate) {
+      if (video.playbackRate !== rate) video.playbackRate = rate;
+    },
+    time: () => video.currentTime,
+    duration: () => video.duration,
+    ended: () => video.ended,
+    listen(onChange) {
+      video.addEventListener('timeupdate', onChange);
+      video.addEventListener('ended', onChange);
+      return () => {
+        video.removeEventListener('timeupdate', onChange);
+        video.removeEventListener('ended', onChange);
+      };
+    },
+  };
+}
+
+function wistiaVideoPlayer(api) {
+  return {
+    kind: 'wistia',
+    target: api,
+    element: api.container || api.elem?.() || null,
+    play() {
+      if (!settings.videoUnmute) api.mute();
+      else if (api.isMuted?.()) api.unmute();
+      Promise.resolve(api.play()).catch(() => {
+        api.mute();
+        api.play();
+      }).catch(() => {});
+    },
+    setRate(rate) {
+      if (api.playbackRate() !== rate) api.playbackRate(rate);
+    },
+    time: () => api.time(),
+    duration: () => api.duration(),
+    ended: () => api.state?.() === 'ended',
+    listen(onChange) {
+      api.bind('timechange', onChange);
+      api.bind('end', onChange);
+      return () => {
+        api.unbind('timechange', onChange);
+        api.unbind('end', onChange);
+      };
+    },
+  };
+}
+
+function formatClock(seconds) {
+  const s = Math.max(0, Math.round(seconds || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = n => String(n).padStart(2, '0');
+  return h > 0 ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+function renderVideoProgress(text) {
+  const el = document.getElementById('atomi-video-progress');
+  if (!el) return;
+  el.textContent = text || '';
+  el.style.display = text ? '' : 'none';
+}
+
+let videoController = null;
+
+function stopVideoController() {
+  const controller = videoController;
+  if (!controller) return;
+  videoController = null;
+  clearInterval(controller.poll);
+  clearTimeout(controller.startTimer);
+  controller.observer?.disconnect();
+  for (const cleanup of controller.cleanups) {
+    try { cleanup(); } catch (_) {}
+  }
+  if (controller.wistiaConfig) {
+    try { window._wq.push({ revoke: controller.wistiaConfig }); } catch (_) {}
+  }
+  renderVideoProgress(null);
+}
+
+function byPagePosition(a, b) {
+  if (!a.element || !b.element) return 0;
+  return documentAnchor(a.element).compareDocumentPosition(documentAnchor(b.element)) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+}
+
+// Plays the page's videos one after another, in page order, at the options-page speed. onPlayer runs
+// as each starts; onDone once the last is within videoAdvanceSeconds of its end, onMissing when no
+// player turns up in time; isActive going false stops the controller
+function startVideoController({ isActive, onDone, onMissing, onPlayer, statusCallback }) {
+  stopVideoController();
+  const controller = {
+    players: [], index: 0, done: false, cleanups: [], poll: 0, observer: null, wistiaConfig: null,
+    startedAt: Date.now(), started: false, startTimer: 0,
+  };
+  videoController = controller;
+  const current = () => controller.players[controller.index];
+
+  const startCurrent = () => {
+    const player = current();
+    if (!player) return;
+    onPlayer?.(player);
+    player.setRate(settings.videoPlaybackRate);
+    try { player.play(); } catch (_) {}
+    controller.cleanups.push(player.listen(check));
+  };
+
+  function check() {
+    if (videoController !== controller || controller.done) return;
+    if (!isActive()) {
+      stopVideoController();
+      return;
+    }
+    const player = current();
+    if (!player) {
+      if (Date.now() - controller.startedAt < VIDEO_LOAD_TIMEOUT_MS) return;
+      stopVideoController();
+      statusCallback?.('No playable video found');
+      onMissing?.();
+      return;
     }
+    // Follows speed changes made on the options page while the video plays
+    player.setRate(settings.videoPlaybackRate);
+    const duration = player.duration();
+    const time = player.time();
+    const count = controller.players.length;
+    const last = controller.index === count - 1;
+    if (duration > 0 && isFinite(duration)) {
+      const counter = count > 1 ? `Video ${controller.index + 1} of ${count} · ` : '';
+      renderVideoProgress(`${counter}${formatClock(time)} / ${formatClock(duration)} · ${formatClock(duration - time)} left at ${settings.videoPlaybackRate}×`);
+    }
+    const offset = last ? settings.videoAdvanceSeconds : 0.5;
+    const finished = player.ended() || (duration > 0 && isFinite(duration) && time >= Math.max(0, duration - offset));
+    if (!finished) return;
+    if (!last) {
+      controller.index++;
+      statusCallback?.(`Playing video ${controller.index + 1} of ${count}`);
+      startCurrent();
+      return;
+    }
+    controller.done = true;
+    stopVideoController();
+    onDone();
+  }
+
+  const startFirst = () => {
+    if (videoController !== controller || controller.started) return;
+    clearTimeout(controller.startTimer);
+    controller.started = true;
+    startCurrent();
+  };
+
+  const addPlayer = (player) => {
+    if (videoController !== controller || controller.players.some(p => p.target === player.target)) return;
+    controller.players.push(player);
+    // Players that haven't played yet keep page order, whatever order they were found in
+    const waiting = controller.players.splice(controller.started ? controller.index + 1 : 0).sort(byPagePosition);
+    controller.players.push(...waiting);
+    if (controller.started) return;
+    // Wistia players report ready in any order: give the others a moment so the first on the page plays first
+    if (controller.players.length >= (controller.wistiaConfig ? wistiaEmbedCount() : 1)) startFirst();
+    else if (!controller.startTimer) controller.startTimer = setTimeout(startFirst, WISTIA_READY_WAIT_MS);
+  };
+
+  const discoverNative = () => {
+    for (const video of findPageVideos()) addPlayer(nativeVideoPlayer(video));
+  };
+  discoverNative();
+
+  if (controller.players.length > 0) {
+    statusCallback?.('Listening for video end');
+  } else if (hasWistiaEmbed()) {
+    window._wq = window._wq || [];
+    controller.wistiaConfig = { id: '_all', onReady: api => addPlayer(wistiaVideoPlayer(api)) };
+    window._wq.push(controller.wistiaConfig);
+    statusCallback?.('Using Wistia API');
+  } else {
+    statusCallback?.('Waiting for the video to load...');
+  }
+
+  // Players that load later (or further down the page) join the queue
+  if (!controller.wistiaConfig) {
+    let discoverTimer = 0;
+    controller.observer = new MutationObserver(() => {
+      if (discoverTimer) return;
+      discoverTimer = setTimeout(() => {
+        discoverTimer = 0;
+        if (videoController === controller) discoverNative();
+      }, 500);
+    });
+    controller.observer.observe(document.body, { childList: true, subtree: true });
+  }
+  controller.poll = setInterval(check, 500);
+  return controller;
+}
+
+// onEnd replaces clicking Next, for callers (Autopilot) that decide where to go themselves;
+// onMissing runs instead when the page has no video it can play
+function setupVideoAutoAdvance(statusCallback, { onEnd, onMissing } = {}) {
+  const isActive = () => (onEnd ? !!autopilotLoop : videoAutoAdvanceEnabled);
+  const advanceToNext = () => {
     const nextBtn = getVideoNextButton();
     if (nextBtn) {
       statusCallback?.('Advancing to next...');
       clickNextLink(nextBtn);
-      videoEndedListener = null;
       setTimeout(() => {
         if (videoAutoAdvanceEnabled && isVideoPage()) setupVideoAutoAdvance(statusCallback);
       }, 2000);
@@ -163,127 +604,151 @@ function setupVideoAutoAdvance(statusCallback) {
       statusCallback?.('No Next button found');
     }
   };
+  startVideoController({
+    isActive,
+    onDone: onEnd || advanceToNext,
+    onMissing,
+    onPlayer: player => captureLessonNotes(player.kind === 'native' ? player.target : null, statusCallback, {
+      mediaId: player.kind === 'wistia' ? player.target.hashedId?.() : null,
+    }),
+    statusCallback,
+  });
+}
 
-  const ADVANCE_SECONDS_BEFORE_END = 10;
-  const TARGET_PLAYBACK_RATE = 2;
+function lessonNotesKey() {
+  return `${location.origin}${location.pathname}`;
+}
 
-  function findVideoElement() {
-    if (!document.body) return null;
-    const walk = (root) => {
-      try {
-        const v = root.querySelector('video');
-        if (v) return v;
-        for (const el of root.querySelectorAll('*')) {
-          if (el.shadowRoot) {
-            const found = walk(el.shadowRoot);
-            if (found) return found;
-          }
-        }
-      } catch (_) {}
-      return null;
-    };
-    return walk(document.body);
+// Rolling captions repeat the previous line; keep each line once
+function joinCaptionLines(lines) {
+  const kept = [];
+  for (const line of lines) {
+    const text = line.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+    if (text && text !== kept[kept.length - 1]) kept.push(text);
   }
+  return kept.join(' ');
+}
 
-  const attachNativeListener = (video) => {
-    if (!video || !videoAutoAdvanceEnabled) return;
-    try { video.playbackRate = TARGET_PLAYBACK_RATE; } catch (_) {}
-    const tryPlay = () => {
-      video.play().catch(() => {
-        video.muted = true;
-        video.play().catch(() => {});
-      });
-    };
-    try { tryPlay(); } catch (_) {}
-    let advanced = false;
-    const checkTime = () => {
-      if (!videoAutoAdvanceEnabled || advanced) return;
-      const duration = video.duration;
-      const current = video.currentTime;
-      if (duration > 0 && !isNaN(duration) && current >= Math.max(0, duration - ADVANCE_SECONDS_BEFORE_END)) {
-        advanced = true;
-        advanceToNext();
-      }
-      if (video.ended) {
-        advanced = true;
-        advanceToNext();
-      }
-    };
-    const onTimeUpdate = () => checkTime();
-    const onEnded = () => {
-      if (!videoAutoAdvanceEnabled || advanced) return;
-      advanced = true;
-      advanceToNext();
-    };
-    if (videoEndedListener && videoEndedListener.interval) clearInterval(videoEndedListener.interval);
-    if (videoEndedListener) {
-      try {
-        video.removeEventListener('timeupdate', videoEndedListener.timeUpdate);
-        video.removeEventListener('ended', videoEndedListener.ended);
-      } catch (_) {}
-    }
-    const poll = setInterval(checkTime, 500);
-    videoEndedListener = { timeUpdate: onTimeUpdate, ended: onEnded, interval: poll };
-    video.addEventListener('timeupdate', onTimeUpdate);
-    video.addEventListener('ended', onEnded);
-  };
+async function readTrackTranscript(video) {
+  const tracks = [...(video?.textTracks || [])].filter(t => t.kind === 'captions' || t.kind === 'subtitles');
+  const track = tracks.find(t => /^en/i.test(t.language)) || tracks[0];
+  if (!track) return null;
+  // Browsers only load a track's cues once it is showing or hidden
+  if (track.mode === 'disabled') track.mode = 'hidden';
+  for (let i = 0; i < 20 && !track.cues?.length; i++) await waitFor(500);
+  const text = joinCaptionLines([...(track.cues || [])].map(cue => cue.text || ''));
+  return text ? { source: 'captions track', language: track.language || '', text } : null;
+}
 
-  const tryWistiaApi = () => {
-    if (typeof window === 'undefined') return false;
-    window._wq = window._wq || [];
-    if (wistiaConfigRef) {
-      try { window._wq.push({ revoke: wistiaConfigRef }); } catch (_) {}
-      wistiaConfigRef = null;
-    }
-    const config = {
-      id: '_all',
-      onReady: (video) => {
-        if (!videoAutoAdvanceEnabled) return;
-        try { video.playbackRate(TARGET_PLAYBACK_RATE); } catch (_) {}
-        try { video.play().catch(() => video.mute()); } catch (_) {}
-        let advanced = false;
-        video.bind('timechange', (t) => {
-          if (!videoAutoAdvanceEnabled || advanced) return;
-          const duration = video.duration();
-          if (duration > 0 && t >= duration - ADVANCE_SECONDS_BEFORE_END) {
-            advanced = true;
-            advanceToNext();
-          }
-        });
-        video.bind('end', () => {
-          if (!videoAutoAdvanceEnabled || advanced) return;
-          advanced = true;
-          advanceToNext();
-        });
-      },
-    };
-    wistiaConfigRef = config;
-    window._wq.push(config);
-    return true;
-  };
+function wistiaMediaId() {
+  const embed = document.querySelector('[class*="wistia_async_"]');
+  const fromClass = embed?.className.match(/wistia_async_([a-z0-9]+)/i)?.[1];
+  if (fromClass) return fromClass;
+  const player = document.querySelector('wistia-player[media-id]');
+  if (player) return player.getAttribute('media-id');
+  const iframe = document.querySelector(QUIZ_SELECTORS.wistiaIframe);
+  return iframe?.src.match(/\/(?:iframe|medias)\/([a-z0-9]+)/i)?.[1] || null;
+}
 
-  const video = findVideoElement();
-  if (video) {
-    attachNativeListener(video);
-    statusCallback?.('Listening for video end');
-    return;
-  }
+async function readWistiaTranscript(hashedId) {
+  const mediaId = hashedId || wistiaMediaId();
+  if (!mediaId) return null;
+  const response = await ext.runtime.sendMessage({ action: 'wistiaCaptions', mediaId }).catch(() => null);
+  const captions = response?.data?.captions || [];
+  const chosen = captions.find(c => /^en/i.test(c.language || '')) || captions[0];
+  const lines = chosen?.hash?.lines || chosen?.lines || [];
+  const text = joinCaptionLines(lines.map(l => [].concat(l.text || []).join(' ')));
+  return text ? { source: 'Wistia captions', language: chosen.language || '', text } : null;
+}
 
-  const hasWistia = document.querySelector('[id*="wistia"]') || document.querySelector('.wistia_embed') || document.querySelector('iframe[src*="wistia"]');
-  if (hasWistia && tryWistiaApi()) {
-    statusCallback?.('Using Wistia API');
-    return;
+async function saveLessonNotes(key, fields) {
+  const { [LESSON_NOTES_KEY]: stored } = await ext.storage.local.get(LESSON_NOTES_KEY);
+  const lessons = { ...(stored || {}), [key]: { ...stored?.[key], ...fields } };
+  const keys = Object.keys(lessons);
+  if (keys.length > LESSON_NOTES_LIMIT) {
+    keys.sort((a, b) => (lessons[a].capturedAt || 0) - (lessons[b].capturedAt || 0));
+    for (const old of keys.slice(0, keys.length - LESSON_NOTES_LIMIT)) delete lessons[old];
   }
+  await ext.storage.local.set({ [LESSON_NOTES_KEY]: lessons });
+  return lessons[key];
+}
 
-  const obs = new MutationObserver(() => {
-    const v = findVideoElement();
-    if (v) {
-      attachNativeListener(v);
-      obs.disconnect();
-    }
+async function callLLMForStudyNotes(config, title, transcript) {
+  const data = await createChatCompletion(config, {
+    messages: [
+      { role: 'system', content: settings.studyNotesPrompt },
+      { role: 'user', content: `Lesson: ${title}\n\nTranscript:\n${transcript.slice(0, MAX_TRANSCRIPT_CHARS)}\n\nWrite the study notes:` },
+    ],
+    max_tokens: settings.studyNotesMaxTokens,
+    temperature: 0.2,
   });
-  obs.observe(document.body, { childList: true, subtree: true });
-  setTimeout(() => obs.disconnect(), 15000);
+  return (data.choices?.[0]?.message?.content || '').trim();
+}
+
+// Videos whose captions this page load has already handled, as "lesson video" keys
+const lessonNotesCaptured = new Set();
+// Captures run one at a time so videos of the same lesson don't overwrite each other's captions
+let lessonNotesRun = Promise.resolve();
+
+function captureLessonNotes(video, statusCallback, options) {
+  const run = lessonNotesRun.then(() => captureVideoNotes(video, statusCallback, options));
+  lessonNotesRun = run.catch(() => {});
+  return run;
+}
+
+// Adds the playing video's captions to its lesson and makes study notes from them. Runs once per
+// video while videos play, so a lesson with several videos gets notes from all of them; force
+// (the panel button) retries and regenerates the notes
+async function captureVideoNotes(video, statusCallback, { force = false, mediaId = null } = {}) {
+  const key = lessonNotesKey();
+  const videoId = video?.currentSrc || video?.src || mediaId || wistiaMediaId() || 'video';
+  if (!force && (lessonNotesCaptured.has(`${key} ${videoId}`) || !settings.studyNotesEnabled)) return;
+  lessonNotesCaptured.add(`${key} ${videoId}`);
+  const { [LESSON_NOTES_KEY]: stored } = await ext.storage.local.get(LESSON_NOTES_KEY);
+  let transcript = stored?.[key]?.transcript ? stored[key] : null;
+  const videos = transcript?.videos || [];
+
+  if (!transcript || !videos.includes(videoId)) {
+    const captions = await readTrackTranscript(video) || await readWistiaTranscript(mediaId);
+    if (!captions && !transcript) {
+      if (force) statusCallback?.('No captions found for this video');
+      return;
+    }
+    if (captions && transcript?.transcript.includes(captions.text)) {
+      transcript = await saveLessonNotes(key, { videos: [...videos, videoId] });
+    } else if (captions) {
+      // New captions make any earlier notes incomplete, so they are written again
+      transcript = await saveLessonNotes(key, {
+        url: key,
+        title: lessonPageTitle(),
+        transcript: transcript ? `${transcript.transcript}\n\n${captions.text}` : captions.text,
+        source: transcript?.source || captions.source,
+        language: transcript?.language || captions.language,
+        capturedAt: transcript?.capturedAt || Date.now(),
+        videos: [...videos, videoId],
+        notes: null,
+      });
+    }
+  }
+  if (transcript.notes && !force) return;
+
+  const config = await getProviderConfig();
+  const problem = providerConfigError(config) || await tokenBudgetProblem();
+  if (problem) {
+    await saveLessonNotes(key, { notesError: problem });
+    statusCallback?.(`Captions saved; no study notes: ${problem}`);
+    return;
+  }
+  statusCallback?.('Writing study notes from the captions...');
+  try {
+    const notes = await callLLMForStudyNotes(config, transcript.title, transcript.transcript);
+    if (!notes) throw new Error('Empty response from API');
+    await saveLessonNotes(key, { notes, notesModel: config.model, notesAt: Date.now(), notesError: null });
+    statusCallback?.('Study notes saved – open the popup\'s Notes tab');
+  } catch (err) {
+    await saveLessonNotes(key, { notesError: err.message });
+    statusCallback?.(`Captions saved; study notes failed: ${err.message}`);
+  }
 }
 
 function isQuizPage() {
@@ -301,6 +766,15 @@ function isQuizPage() {
   return true;
 }
 
+// Why isQuizPage() does or doesn't match, for Diagnose Page
+function diagnoseQuizPage() {
+  const answerList = document.querySelector(QUIZ_SELECTORS.answerList);
+  if (!answerList) return 'nothing matches answerList';
+  const items = Array.from(answerList.querySelectorAll(QUIZ_SELECTORS.answerItems));
+  const buttons = items.filter(li => li.querySelector(QUIZ_SELECTORS.answerButton));
+  return `answer list has ${items.length} answerItems, ${buttons.length} with an answerButton (needs 2)`;
+}
+
 function getQuestionText() {
   const article = document.querySelector(QUIZ_SELECTORS.article);
   if (!article) return '';
@@ -309,15 +783,17 @@ function getQuestionText() {
   const answerList = article.querySelector(QUIZ_SELECTORS.answerList);
   let questionContainer = answerList?.previousElementSibling;
   while (questionContainer) {
-    const text = questionContainer.textContent?.trim();
+    const text = extractStructuredText(questionContainer);
     if (text && !text.includes('Atomi Question') && text.length > 5) {
-      return text.replace(/Atomi Question\s*/i, '').trim();
+      const otherImages = getQuestionImages().filter(img => !questionContainer.contains(img))
+        .map(img => `[Image: ${imageAltText(img) || 'no description'}]`);
+      return [text.replace(/Atomi Question\s*/i, '').trim(), ...otherImages].join('\n');
     }
     questionContainer = questionContainer.previousElementSibling;
   }
 
-  // Fallback: get all text from article before the answer list
-  const allText = article.innerText || article.textContent || '';
+  // Fallback: everything in the article except the answer list
+  const allText = extractStructuredText(article, { skip: el => el === answerList });
   const parts = allText.split(/(?=Choice [A-Z]|50\.|53\.|56\.)/i);
   return (parts[0] || allText).replace(/Atomi Question\s*/i, '').trim();
 }
@@ -331,11 +807,137 @@ function getAnswers() {
     const btn = li.querySelector(QUIZ_SELECTORS.answerButton);
     if (!btn) return '';
     // Get answer text - exclude "Choice A" etc
-    const textEl = btn.querySelector('[class*="Markdown"]') || btn.querySelector('div');
-    return (textEl?.textContent || btn.textContent || '').replace(/Choice [A-Z]\s*/i, '').trim();
+    const textEl = btn.querySelector(QUIZ_SELECTORS.markdown) || btn.querySelector('div') || btn;
+    const text = extractStructuredText(textEl).replace(/Choice [A-Z]\s*/i, '').trim();
+    const alts = Array.from(btn.querySelectorAll('img')).filter(img => isContentImage(img) && !textEl.contains(img))
+      .map(img => `[Image: ${imageAltText(img) || 'no description'}]`);
+    return [text, ...alts].filter(Boolean).join(' ');
   }).filter(t => t);
 }
 
+function imageAltText(img) {
+  return (img.getAttribute('alt') || img.getAttribute('aria-label') || img.getAttribute('title') || '').trim();
+}
+
+// Skip icons and decorative images
+function isContentImage(img) {
+  if (img.getAttribute('aria-hidden') === 'true' || img.getAttribute('role') === 'presentation') return false;
+  if (img.closest('#atomi-autosolver-panel')) return false;
+  const width = img.naturalWidth || img.width;
+  const height = img.naturalHeight || img.height;
+  return !(width && height && width < 32 && height < 32);
+}
+
+function getQuestionImages() {
+  const article = document.querySelector(QUIZ_SELECTORS.article);
+  if (!article) return [];
+  const answerList = article.querySelector(QUIZ_SELECTORS.answerList);
+  return Array.from(article.querySelectorAll('img')).filter(img => !answerList?.contains(img) && isContentImage(img));
+}
+
+function getWorkingOutImages() {
+  const images = [];
+  for (const root of document.querySelectorAll(QUIZ_SELECTORS.markdownRoot)) {
+    for (const img of root.querySelectorAll('img')) {
+      if (isContentImage(img) && !images.includes(img)) images.push(img);
+    }
+  }
+  return images;
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function imageToCanvasDataUrl(img) {
+  const width = img.naturalWidth || img.width;
+  const height = img.naturalHeight || img.height;
+  if (!width || !height) return null;
+  const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.85);
+}
+
+// Inline images as data URLs so the provider (or a local server) never needs page access
+async function imageToDataUrl(img) {
+  const src = img.currentSrc || img.src;
+  if (!src) return null;
+  if (src.startsWith('data:') && !src.startsWith('data:image/svg')) return src;
+  try {
+    const res = await fetch(src);
+    const blob = res.ok ? await res.blob() : null;
+    if (blob && blob.size <= MAX_IMAGE_BYTES && /^image\/(png|jpe?g|gif|webp)/.test(blob.type)) {
+      return await blobToDataUrl(blob);
+    }
+  } catch (_) {}
+  try {
+    const dataUrl = imageToCanvasDataUrl(img);
+    if (dataUrl) return dataUrl;
+  } catch (_) {}
+  return /^https?:/.test(src) ? src : null;
+}
+
+// groups: [{ label, images }]; returns chat content parts, empty for text-only models
+async function buildImageParts(config, groups) {
+  if (!config.vision) return [];
+  const parts = [];
+  let count = 0;
+  for (const { label, images } of groups) {
+    for (const img of images) {
+      if (count >= MAX_VISION_IMAGES) return parts;
+      const url = await imageToDataUrl(img);
+      if (!url) continue;
+      count++;
+      const alt = imageAltText(img);
+      parts.push({ type: 'text', text: `${label}${alt ? ` (${alt})` : ''}:` });
+      parts.push({ type: 'image_url', image_url: { url } });
+    }
+  }
+  return parts;
+}
+
+function getQuizImageParts(config) {
+  return buildImageParts(config, [
+    { label: 'Question image', images: getQuestionImages() },
+    ...getAnswerButtons().map((btn, i) => ({
+      label: `Image in answer ${i + 1}`,
+      images: Array.from(btn.querySelectorAll('img')).filter(isContentImage),
+    })),
+  ]);
+}
+
+function userMessage(text, imageParts) {
+  return { role: 'user', content: imageParts?.length ? [{ type: 'text', text }, ...imageParts] : text };
+}
+
+// "Select all that apply" questions: checkbox roles, aria-multiselectable or the question wording
+function isMultiSelectQuestion() {
+  const answerList = document.querySelector(QUIZ_SELECTORS.answerList);
+  if (!answerList) return false;
+  if (answerList.getAttribute('aria-multiselectable') === 'true') return true;
+  if (answerList.querySelector('[role="checkbox"], [role="menuitemcheckbox"], input[type="checkbox"]')) return true;
+  return /select all|choose all|all that apply|(select|choose|pick) (two|three|four|five|\d+)\b|more than one (correct )?answer/i
+    .test(getQuestionText());
+}
+
+function requiredSelectionCount(question) {
+  const m = question.match(/\b(?:select|choose|pick)\s+(two|three|four|five|\d+)\b/i);
+  if (!m) return null;
+  const words = { two: 2, three: 3, four: 4, five: 5 };
+  return words[m[1].toLowerCase()] || parseInt(m[1], 10) || null;
+}
+
 function getAnswerButtons() {
   const answerList = document.querySelector(QUIZ_SELECTORS.answerList);
   if (!answerList) return [];
@@ -344,234 +946,2031 @@ function getAnswerButtons() {
   return Array.from(items).map(li => li.querySelector(QUIZ_SELECTORS.answerButton)).filter(Boolean);
 }
 
-async function callGroqAPI(apiKey, model, question, answers) {
-  const answersText = answers.map((a, i) => `${i + 1}. ${a}`).join('\n');
-  const userContent = `Question:\n${question}\n\nPossible answers:\n${answersText}\n\nReply with only the number (1-${answers.length}):`;
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
 
-  const response = await fetch(GROQ_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: model || DEFAULT_MODEL,
-      messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
-        { role: 'user', content: userContent },
-      ],
-      max_tokens: 256,
-      temperature: 0,
-    }),
+// cyrb53: small, stable string hash for cache keys
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Answers are sorted so a retake with shuffled options hits the same entry
+function answerCacheKey(question, answers) {
+  const options = answers.map(normalizeText).sort();
+  return hashString(`${normalizeText(question)}\n${options.join('\n')}`);
+}
+
+function feedbackMarkers(el) {
+  const nodes = [el, el.closest('li'), ...el.querySelectorAll('[class], [aria-label], [data-state]')].filter(Boolean);
+  return nodes.map(n => [
+    typeof n.className === 'string' ? n.className : n.className?.baseVal || '',
+    n.getAttribute('aria-label') || '',
+    n.getAttribute('data-state') || '',
+    n.getAttribute('data-test') || '',
+  ].join(' ')).join(' ').toLowerCase();
+}
+
+function isAnswerSelected(btn) {
+  if (btn.checked) return true;
+  const li = btn.closest('li');
+  if ([btn, li].some(el => el && ['aria-pressed', 'aria-checked', 'aria-selected', 'data-selected']
+    .some(attr => el.getAttribute(attr) === 'true'))) return true;
+  return /(^|[^a-z])(is)?(selected|checked)/.test(feedbackMarkers(btn).replace(/un(selected|checked)/g, ''));
+}
+
+// Reads Atomi's result after Check Answer: overall outcome, revealed correct option(s) and the selected one(s)
+function readAnswerFeedback() {
+  const buttons = getAnswerButtons();
+  const correctIndices = [];
+  const selectedIndices = [];
+  buttons.forEach((btn, i) => {
+    const markers = feedbackMarkers(btn);
+    if (/(^|[^a-z])(is)?correct/.test(markers.replace(/incorrect/g, ''))) correctIndices.push(i + 1);
+    if (isAnswerSelected(btn)) selectedIndices.push(i + 1);
   });
 
-  if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    throw new Error(err.error?.message || `API error: ${response.status}`);
+  let outcome = readFeedbackOutcome();
+  if (!outcome && correctIndices.length > 0 && selectedIndices.length > 0) {
+    outcome = sameIndices(correctIndices, selectedIndices) ? 'correct' : 'incorrect';
   }
+  return { outcome, correctIndices, selectedIndices };
+}
 
-  const data = await response.json();
-  const msg = data.choices?.[0]?.message || {};
-  const content = (msg.content || '').trim();
-  const reasoning = (msg.reasoning || '').trim();
-  const combined = `${content} ${reasoning}`;
-  // Parse number from content or reasoning (GPT-OSS puts answer in reasoning when content is empty)
-  const matches = [...combined.matchAll(/\b([1-9]\d?)\b/g)];
-  const numChoices = answers.length;
-  const valid = matches.map(m => parseInt(m[1], 10)).filter(n => n >= 1 && n <= numChoices);
-  return valid.length > 0 ? valid[valid.length - 1] : null;
+// Short texts in the question area that read like a verdict: [{ el, text, outcome }]
+function feedbackMessages() {
+  const article = document.querySelector(QUIZ_SELECTORS.article) || document.body;
+  const found = [];
+  for (const el of article.querySelectorAll(QUIZ_SELECTORS.feedback)) {
+    if (el.children.length > 2 || el.closest('#atomi-autosolver-panel')) continue;
+    const text = (el.textContent || '').trim().toLowerCase();
+    if (text.length > 40) continue;
+    if (/^(incorrect|not quite|wrong)\b/.test(text)) found.push({ el, text, outcome: 'incorrect' });
+    else if (/^(correct|well done|great job|nice work)\b(?! answer)/.test(text)) found.push({ el, text, outcome: 'correct' });
+  }
+  return found;
 }
 
-async function callGroqAPIForWorkingOut(apiKey, model, question) {
-  const response = await fetch(GROQ_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: model || DEFAULT_MODEL,
-      messages: [
-        { role: 'system', content: WORKING_OUT_PROMPT },
-        { role: 'user', content: `Question:\n${question}\n\nOutput only the raw working out (LaTeX, no explanation):` },
-      ],
-      max_tokens: 2048,
-      temperature: 0.2,
-    }),
-  });
+// Verdict-like texts already on the page when Check Answer was clicked, e.g. an option labelled
+// "Correct" or "Correct the following…"; only text that appears after the click is Atomi's verdict.
+// null until the solver has clicked Check Answer itself
+let feedbackBeforeSubmit = null;
+
+// Atomi's "Correct" / "Incorrect" message after Check Answer, or null when there is none
+function readFeedbackOutcome() {
+  if (!feedbackBeforeSubmit) return null;
+  return feedbackMessages().find(m => feedbackBeforeSubmit.get(m.el) !== m.text)?.outcome || null;
+}
 
-  if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    throw new Error(err.error?.message || `API error: ${response.status}`);
+function sameIndices(a, b) {
+  return a.length === b.length && [...a].sort().join(',') === [...b].sort().join(',');
+}
+
+// Returns the cached correct option indices (1-based) for this question, or null.
+// An answer Atomi has since marked wrong is never used
+async function lookupCachedAnswer(question, answers) {
+  const { [ANSWER_CACHE_KEY]: cache } = await ext.storage.local.get(ANSWER_CACHE_KEY);
+  const entry = cache?.[answerCacheKey(question, answers)];
+  const texts = entry?.answers || (entry?.answer ? [entry.answer] : []);
+  if (texts.length === 0 || texts.some(t => entry.wrong?.includes(t))) return null;
+  const indices = texts.map(t => answers.findIndex(a => normalizeText(a) === t) + 1);
+  return indices.every(i => i > 0) ? indices : null;
+}
+
+// Stores what Check Answer revealed; returns the stored entry or null when nothing was learned
+async function recordAnswerFeedback(question, answers, chosenIndices, feedback) {
+  const chosen = (chosenIndices || []).filter(Boolean);
+  let correct = feedback.correctIndices;
+  if (correct.length === 0 && feedback.outcome === 'correct') correct = chosen;
+  // A wrong single choice rules that option out; a wrong set says nothing about each option
+  const wrongIndex = feedback.outcome === 'incorrect' && chosen.length === 1 ? chosen[0] : null;
+  if (correct.length === 0 && feedback.outcome !== 'incorrect') return null;
+
+  const key = answerCacheKey(question, answers);
+  const { [ANSWER_CACHE_KEY]: stored } = await ext.storage.local.get(ANSWER_CACHE_KEY);
+  const cache = stored || {};
+  if (correct.length === 0 && !wrongIndex && !cache[key]) return null;
+  const entry = cache[key] || { question: question.slice(0, 200), wrong: [] };
+  entry.wrong ||= [];
+  const cached = entry.answers || (entry.answer ? [entry.answer] : []);
+  if (correct.length > 0) {
+    entry.answers = correct.map(i => normalizeText(answers[i - 1]));
+    delete entry.answer;
+  } else if (chosen.some(i => cached.includes(normalizeText(answers[i - 1])))) {
+    // The cached answer was just marked wrong; ask the model next time
+    delete entry.answers;
+    delete entry.answer;
   }
+  if (wrongIndex && !correct.includes(wrongIndex)) {
+    const wrong = normalizeText(answers[wrongIndex - 1]);
+    if (!entry.wrong.includes(wrong)) entry.wrong.push(wrong);
+  }
+  entry.updatedAt = Date.now();
+  cache[key] = entry;
 
-  const data = await response.json();
-  const msg = data.choices?.[0]?.message || {};
-  return (msg.content || '').trim();
+  const keys = Object.keys(cache);
+  if (keys.length > ANSWER_CACHE_LIMIT) {
+    keys.sort((a, b) => (cache[a].updatedAt || 0) - (cache[b].updatedAt || 0));
+    for (const k of keys.slice(0, keys.length - ANSWER_CACHE_LIMIT)) delete cache[k];
+  }
+  await ext.storage.local.set({ [ANSWER_CACHE_KEY]: cache });
+  return entry;
 }
 
-function dispatchPasteWithData(mathField, latex) {
-  let dt;
+// Appends one solve to the persistent history; returns its id for a later outcome update
+async function recordHistory(entry) {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
   try {
-    dt = new DataTransfer();
-    dt.setData('text/plain', latex);
-  } catch (_) {
-    return false;
-  }
-  const evt = new ClipboardEvent('paste', {
-    bubbles: true,
-    cancelable: true,
-    clipboardData: dt,
-  });
-  mathField.focus?.();
-  mathField.dispatchEvent(evt);
-  return true;
+    const { [HISTORY_KEY]: stored } = await ext.storage.local.get(HISTORY_KEY);
+    const history = stored || [];
+    history.push({ id, timestamp: new Date().toISOString(), url: window.location.href, outcome: null, ...entry });
+    await ext.storage.local.set({ [HISTORY_KEY]: history.slice(-HISTORY_LIMIT) });
+  } catch (_) {}
+  return id;
 }
 
-function forceSetValue(el, value) {
+async function updateHistoryEntry(id, fields) {
+  if (!id) return;
   try {
-    const proto = Object.getPrototypeOf(el);
-    const desc = Object.getOwnPropertyDescriptor(proto, 'value') ||
-      Object.getOwnPropertyDescriptor(el, 'value');
-    if (desc?.set) {
-      desc.set.call(el, value);
-      return true;
-    }
+    const { [HISTORY_KEY]: history } = await ext.storage.local.get(HISTORY_KEY);
+    const entry = (history || []).find(e => e.id === id);
+    if (!entry) return;
+    Object.assign(entry, fields);
+    await ext.storage.local.set({ [HISTORY_KEY]: history });
   } catch (_) {}
-  el.value = value;
-  return false;
 }
 
-function setMathFieldValueInPage(mathFieldId, latex) {
-  if (!mathFieldId || !document.body) return;
-  const safeId = String(mathFieldId).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/</g, '\\u003c');
-  document.body.setAttribute('data-atomi-latex-temp', latex);
-  const script = document.createElement('script');
-  script.textContent = '(function(){var el=document.getElementById("' + safeId + '");var s=document.body.getAttribute("data-atomi-latex-temp");document.body.removeAttribute("data-atomi-latex-temp");if(!el||!s)return;try{if(typeof el.setValue==="function")el.setValue(s,{insertionMode:"replaceAll",format:"latex"});else el.value=s;el.dispatchEvent(new InputEvent("input",{bubbles:true}));el.dispatchEvent(new Event("change",{bubbles:true}));}catch(e){}})();';
+async function updateHistoryOutcome(id, outcome) {
+  if (outcome) await updateHistoryEntry(id, { outcome });
+}
+
+// The last reply (or request error) from the model, for page snapshots
+let lastModelResponse = null;
+
+// LLM requests go through the background worker, which queues and retries them.
+// Streamed requests (onText set) get the reply text so far from the background while it arrives
+const completionStreams = new Map();
+let nextStreamId = 0;
+
+// Errors carry a category: auth, rate-limited, model-not-found, network, server or request
+async function createChatCompletion(config, body, { onText } = {}) {
+  const streamId = onText ? ++nextStreamId : undefined;
+  if (onText) completionStreams.set(streamId, onText);
+  let response;
+  try {
+    response = await ext.runtime.sendMessage({ action: 'chatCompletion', config, body, streamId });
+  } catch (err) {
+    throw Object.assign(new Error(`Extension background unavailable (${err.message})`), { category: 'network' });
+  } finally {
+    completionStreams.delete(streamId);
+  }
+  const at = new Date().toISOString();
+  if (response?.error) {
+    lastModelResponse = { model: body.model || config.model, at, error: response.error.message, category: response.error.category };
+    throw Object.assign(new Error(response.error.message), { category: response.error.category });
+  }
+  if (!response?.data) throw Object.assign(new Error('No response from the extension background'), { category: 'network' });
+  const choice = response.data.choices?.[0];
+  lastModelResponse = {
+    model: response.data.model || body.model || config.model,
+    at,
+    content: choice?.message?.content ?? '',
+    reasoning: choice?.message?.reasoning || '',
+    finishReason: choice?.finish_reason || null,
+  };
+  return response.data;
+}
+
+async function tokenBudgetProblem() {
+  const { [USAGE_KEY]: usage, [TOKEN_BUDGET_KEY]: budget } = await ext.storage.local.get([USAGE_KEY, TOKEN_BUDGET_KEY]);
+  return tokenBudgetError(usage, budget);
+}
+
+// Where Atomi names the course: the URL path, breadcrumbs, page title and top-level headings
+function readSubjectText() {
+  const parts = [decodeURIComponent(location.pathname).replace(/[-_/]+/g, ' '), document.title];
+  const crumbs = document.querySelectorAll(QUIZ_SELECTORS.breadcrumbs);
+  for (const el of [...crumbs, ...document.querySelectorAll('h1')]) {
+    if (el.closest('#atomi-autosolver-panel')) continue;
+    // Text node by text node, so adjacent breadcrumb links don't run together
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
+  }
+  return parts.join(' ');
+}
+
+function detectProfile() {
+  return matchProfile(subjectProfiles, readSubjectText());
+}
+
+async function getProviderConfig() {
+  return applyProfile(resolveProviderConfig(await ext.storage.local.get(PROVIDER_STORAGE_KEYS)), detectProfile().profile);
+}
+
+// Profiles with reasoning on let the model think first; the reply is whatever follows the last "ANSWER:"
+const REASONING_INSTRUCTION = `
+
+Before answering, work through the problem step by step. This replaces any instruction above to reply with only the answer: write your reasoning first, then a line starting "ANSWER:" followed by the answer in exactly the format asked for, with nothing after it.`;
+const REASONING_MAX_TOKENS = 2048;
+
+function withReasoning(config, systemPrompt) {
+  return config.profile?.reasoning ? systemPrompt + REASONING_INSTRUCTION : systemPrompt;
+}
+
+const ANSWER_MARKER = /^[\s*#>-]*ANSWER\s*\**\s*:\**/gim;
+
+function finalAnswer(content) {
+  const markers = [...content.matchAll(ANSWER_MARKER)];
+  if (markers.length === 0) return content;
+  const last = markers[markers.length - 1];
+  return content.slice(last.index + last[0].length).trim();
+}
+
+// The model's working before its final ANSWER: line, or a reasoning model's separate reasoning
+function responseReasoning(response) {
+  const content = response?.content || '';
+  const markers = [...content.matchAll(ANSWER_MARKER)];
+  if (markers.length > 0) return content.slice(0, markers[markers.length - 1].index).trim();
+  return (response?.reasoning || '').trim();
+}
+
+function formatAnswers(answers) {
+  return answers.map((a, i) => `${i + 1}. ${a}`).join('\n');
+}
+
+function multiSelectInstruction(question, answers) {
+  const count = requiredSelectionCount(question);
+  return count
+    ? `Reply with exactly ${count} numbers (1-${answers.length}), comma-separated:`
+    : `Reply with every correct number (1-${answers.length}), comma-separated:`;
+}
+
+// Structured answers ask for JSON via response_format, stepping down when a provider or model rejects it.
+// Each step down is remembered per provider and model for the rest of the session
+const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object', 'text'];
+const RESPONSE_FORMAT_ERROR = /response[_ ]format|json[_ ]schema|json[_ ]object|json mode|structured output/i;
+const STRUCTURED_MAX_TOKENS = 512;
+const structuredOutputFallbacks = new Map();
+
+function answerResponseFormat(mode, multi) {
+  if (mode === 'json_object') return { type: 'json_object' };
+  if (mode !== 'json_schema') return undefined;
+  const answer = multi ? { type: 'array', items: { type: 'integer' } } : { type: 'integer' };
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: 'quiz_answer',
+      strict: true,
+      schema: {
+        type: 'object',
+        properties: { rationale: { type: 'string' }, answer, confidence: { type: 'number' } },
+        required: ['rationale', 'answer', 'confidence'],
+        additionalProperties: false,
+      },
+    },
+  };
+}
+
+function jsonAnswerInstruction(config, answers, multi) {
+  const answer = multi ? `[every correct option number (1-${answers.length})]` : `<the option number (1-${answers.length})>`;
+  const rationale = config.profile?.reasoning ? 'your step-by-step working' : 'one or two sentences on why';
+  return `\n\nThis replaces any other instruction about the reply format: reply with only a JSON object, no other text – {"rationale": "<${rationale}>", "answer": ${answer}, "confidence": <0 to 1, how sure you are>}`;
+}
+
+// Checks a parsed answer against the options; returns { indices, confidence, rationale } or { error }
+function validateAnswer(answer, optionCount, multi, { confidence, rationale } = {}) {
+  const list = [].concat(answer).map(n => (typeof n === 'string' && /^\s*\d+\s*$/.test(n) ? Number(n) : n));
+  if (list.length === 0 || !list.every(Number.isInteger)) return { error: `answer ${JSON.stringify(answer)} is not an option number` };
+  if (!multi && list.length > 1) return { error: `expected one option, got ${list.join(', ')}` };
+  const outOfRange = list.filter(n => n < 1 || n > optionCount);
+  if (outOfRange.length > 0) return { error: `option ${outOfRange.join(', ')} is not between 1 and ${optionCount}` };
+  const sure = Number(confidence);
+  return {
+    indices: [...new Set(list)].sort((a, b) => a - b),
+    confidence: confidence !== undefined && confidence !== null && isFinite(sure) ? Math.max(0, Math.min(1, sure)) : undefined,
+    rationale: typeof rationale === 'string' && rationale.trim() ? rationale.trim() : undefined,
+  };
+}
+
+// The fallback parser, tried in order: a JSON object with "answer", the text after the last ANSWER: line,
+// then a reply made only of option numbers. Prose is never scraped for digits, so "...unlike option 2" can't win
+function parseAnswerReply(text, optionCount, multi) {
+  const open = text.indexOf('{');
+  const close = text.lastIndexOf('}');
+  if (open !== -1 && close > open) {
+    try {
+      const json = JSON.parse(text.slice(open, close + 1));
+      if (json && 'answer' in json) return validateAnswer(json.answer, optionCount, multi, json);
+    } catch {}
+  }
+  const markers = [...text.matchAll(ANSWER_MARKER)];
+  const reply = (markers.length > 0 ? finalAnswer(text) : text).replace(/[*_`.()[\]]/g, ' ').trim();
+  const bare = reply.match(/^(?:(?:the\s+)?(?:correct\s+)?(?:answers?|options?)\s*(?:is|are|:)?\s*)?(?:options?\s*)?(\d+(?:\s*(?:,|and|&)\s*(?:options?\s*)?\d+)*)$/i);
+  if (bare) return validateAnswer(bare[1].match(/\d+/g).map(Number), optionCount, multi);
+  return { error: text ? 'no option number in the expected format' : 'empty reply' };
+}
+
+function describeReply(msg) {
+  const text = (msg.content || msg.reasoning || '').trim().replace(/\s+/g, ' ');
+  return text.length > 80 ? `"${text.slice(0, 80)}…"` : `"${text}"`;
+}
+
+// Resolves to { indices, modelConfidence, rationale, format } or, when the reply can't be parsed, { indices: null, error }
+async function callLLM(config, question, answers, { model, temperature = config.profile?.temperature ?? settings.quizTemperature, images, multi = false } = {}) {
+  const values = { question, options: formatAnswers(answers), optionCount: answers.length };
+  const structured = settings.structuredAnswers;
+  let userContent = multi
+    ? fillTemplate(settings.multiSelectMessage, { ...values, instruction: multiSelectInstruction(question, answers) })
+    : fillTemplate(settings.quizMessage, values);
+  if (structured) userContent += jsonAnswerInstruction(config, answers, multi);
+  const systemPrompt = fillTemplate(multi ? settings.multiSelectPrompt : config.profile?.systemPrompt || settings.quizPrompt, values);
+  let maxTokens = config.profile?.reasoning ? Math.max(settings.quizMaxTokens, REASONING_MAX_TOKENS) : settings.quizMaxTokens;
+  if (structured) maxTokens = Math.max(maxTokens, STRUCTURED_MAX_TOKENS);
+
+  const fallbackKey = `${config.id}:${model || config.model}`;
+  let mode = structured ? structuredOutputFallbacks.get(fallbackKey) || config.structuredOutput || 'json_object' : 'text';
+  let data;
+  for (;;) {
+    try {
+      data = await createChatCompletion(config, {
+        model,
+        messages: [
+          { role: 'system', content: structured ? systemPrompt : withReasoning(config, systemPrompt) },
+          userMessage(userContent, images),
+        ],
+        max_tokens: maxTokens,
+        temperature,
+        response_format: answerResponseFormat(mode, multi),
+      });
+      break;
+    } catch (err) {
+      if (mode === 'text' || err.category !== 'request' || !RESPONSE_FORMAT_ERROR.test(err.message)) throw err;
+      mode = STRUCTURED_OUTPUT_MODES[STRUCTURED_OUTPUT_MODES.indexOf(mode) + 1];
+      structuredOutputFallbacks.set(fallbackKey, mode);
+    }
+  }
+
+  // Reasoning models sometimes leave content empty and answer at the end of their reasoning
+  const choice = data.choices?.[0] || {};
+  const msg = choice.message || {};
+  const content = (msg.content || '').trim();
+  const parsed = parseAnswerReply(content || (msg.reasoning || '').trim(), answers.length, multi);
+  if (parsed.error) {
+    const cut = choice.finish_reason === 'length' ? ', the reply was cut off at max_tokens' : '';
+    return { indices: null, format: mode, error: `${parsed.error}${cut} – ${describeReply(msg)}` };
+  }
+  return { indices: parsed.indices, modelConfidence: parsed.confidence, rationale: parsed.rationale, format: mode };
+}
+
+// Ask several models (or several samples of one model) and tally the votes per option
+async function voteOnAnswer(config, question, answers, ensemble, images, multi) {
+  const models = (ensemble.models || []).filter(Boolean);
+  const samples = Math.max(1, Math.min(ENSEMBLE_MAX_SAMPLES, parseInt(ensemble.samples, 10) || 1));
+  const temperature = samples > 1 ? ENSEMBLE_SAMPLE_TEMPERATURE : config.profile?.temperature ?? settings.quizTemperature;
+  const calls = [];
+  for (const model of models.length > 0 ? models : [config.model]) {
+    const canSee = model === config.model ? config.vision : isVisionModel(model);
+    const modelImages = canSee ? images : undefined;
+    for (let i = 0; i < samples; i++) {
+      calls.push(callLLM(config, question, answers, { model, temperature, images: modelImages, multi }));
+    }
+  }
+
+  // Multi-select votes are for the whole set of options, keyed like "1,3"
+  const results = await Promise.allSettled(calls);
+  const votes = {};
+  let total = 0;
+  let unparsable = 0;
+  for (const r of results) {
+    if (r.status !== 'fulfilled') continue;
+    if (!r.value.indices) {
+      unparsable++;
+      continue;
+    }
+    const key = r.value.indices.join(',');
+    votes[key] = (votes[key] || 0) + 1;
+    total++;
+  }
+  if (total === 0) {
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed && unparsable === 0) throw failed.reason;
+    const parseError = results.find(r => r.status === 'fulfilled')?.value.error;
+    return { indices: null, confidence: 0, votes, total, unparsable, parseError };
+  }
+  const [top, count] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+  return { indices: top.split(',').map(Number), confidence: count / total, votes, total, agreeing: count, unparsable };
+}
+
+// Resolves to { indices: [1-based option numbers] | null, model, parseError?, ...vote or model confidence details }
+async function pickAnswer(config, question, answers, images, multi = false) {
+  const { ensemble } = await ext.storage.local.get('ensemble');
+  if (!ensemble?.enabled) {
+    const answer = await callLLM(config, question, answers, { images, multi });
+    return {
+      indices: answer.indices,
+      model: config.model,
+      modelConfidence: answer.modelConfidence,
+      rationale: answer.rationale,
+      parseError: answer.error,
+    };
+  }
+  const models = (ensemble.models || []).filter(Boolean);
+  const vote = await voteOnAnswer(config, question, answers, ensemble, images, multi);
+  return { ...vote, model: `ensemble: ${(models.length > 0 ? models : [config.model]).join(', ')}` };
+}
+
+function describeChoice(indices) {
+  return indices.length === 1 ? `answer ${indices[0]}` : `answers ${indices.join(', ')}`;
+}
+
+function describeConfidence(result) {
+  if (result.fromCache) return ' (from cache)';
+  if (result.confidence === undefined) {
+    return result.modelConfidence === undefined ? '' : ` (model ${Math.round(result.modelConfidence * 100)}% sure)`;
+  }
+  const unparsable = result.unparsable ? `, ${result.unparsable} unparsable` : '';
+  return ` (${result.agreeing || 0}/${result.total} votes, ${Math.round(result.confidence * 100)}%${unparsable})`;
+}
+
+// Room for the explanation of every option
+const STUDY_MAX_TOKENS = 1024;
+
+// Uses the subject profile's model, prompt and temperature like the other question paths
+async function callLLMForStudy(config, question, answers, images, multi = false) {
+  const multiNote = multi ? 'More than one answer is correct: list every correct number after ANSWER:, comma-separated.\n' : '';
+  const userContent = `Question:\n${question}\n\nPossible answers:\n${formatAnswers(answers)}\n\n${multiNote}Explain your choice in the required format:`;
+
+  // A profile's single-answer prompt comes first; the study prompt's reply format follows it and wins
+  const values = { question, options: formatAnswers(answers), optionCount: answers.length };
+  const profilePrompt = !multi && config.profile?.systemPrompt ? `${fillTemplate(config.profile.systemPrompt, values)}\n\n` : '';
+  const data = await createChatCompletion(config, {
+    messages: [
+      { role: 'system', content: profilePrompt + settings.studyPrompt },
+      userMessage(userContent, images),
+    ],
+    max_tokens: Math.max(settings.quizMaxTokens, STUDY_MAX_TOKENS),
+    temperature: config.profile?.temperature ?? settings.quizTemperature,
+  });
+
+  const content = (data.choices?.[0]?.message?.content || '').trim();
+  const numChoices = answers.length;
+  const answerMatch = content.match(/ANSWER:\s*\**\s*(\d+(?:\s*(?:,|and|&)\s*\d+)*)/i);
+  const indices = answerMatch
+    ? [...new Set(answerMatch[1].match(/\d+/g).map(Number))].filter(n => n >= 1 && n <= numChoices)
+    : [];
+  const why = content.match(/WHY:\s*([\s\S]*?)(?=\n\s*\**\s*(?:Option\s*)?\d+\s*[:.)]|$)/i)?.[1]?.trim() || '';
+  const others = [];
+  for (const line of content.split('\n')) {
+    const m = line.match(/^\s*\**\s*(?:Option\s*)?(\d+)\s*\**\s*[:.)]\s*(.+)$/i);
+    if (!m) continue;
+    const n = parseInt(m[1], 10);
+    if (n >= 1 && n <= numChoices && !indices.includes(n)) others.push({ index: n, reason: m[2].trim() });
+  }
+  return { indices: indices.length > 0 ? indices : null, why, others };
+}
+
+// repair: { latex, errors } from a rejected attempt, sent back so the model can correct it.
+// onText streams the reply as it is written
+async function callLLMForWorkingOut(config, question, images, repair, onText) {
+  const values = { question, options: '', optionCount: 0 };
+  const messages = [
+    { role: 'system', content: fillTemplate(settings.workingOutPrompt, values) },
+    userMessage(fillTemplate(settings.workingOutMessage, values), images),
+  ];
+  if (repair) {
+    messages.push(
+      { role: 'assistant', content: repair.latex },
+      { role: 'user', content: `That LaTeX cannot go into the answer field:\n${repair.errors.map(e => `- ${e}`).join('\n')}\nReply with the corrected working only (raw LaTeX, no explanation):` },
+    );
+  }
+  const data = await createChatCompletion(config, {
+    messages,
+    max_tokens: settings.workingOutMaxTokens,
+    temperature: config.profile?.temperature ?? settings.workingOutTemperature,
+  }, { onText });
+  const msg = data.choices?.[0]?.message || {};
+  return (msg.content || '').trim();
+}
+
+// Commands MathLive renders; anything else is reported back to the model as unsupported
+const KNOWN_LATEX_COMMANDS = new Set([
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta', 'vartheta', 'iota', 'kappa',
+  'lambda', 'mu', 'nu', 'xi', 'pi', 'varpi', 'rho', 'varrho', 'sigma', 'varsigma', 'tau', 'upsilon', 'phi', 'varphi',
+  'chi', 'psi', 'omega', 'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Pi', 'Sigma', 'Upsilon', 'Phi', 'Psi', 'Omega',
+  'frac', 'dfrac', 'tfrac', 'cfrac', 'sqrt', 'binom', 'dbinom', 'tbinom', 'left', 'right', 'middle',
+  'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'begin', 'end',
+  'text', 'textrm', 'textbf', 'textit', 'mathrm', 'mathbf', 'mathit', 'mathcal', 'mathbb', 'mathsf', 'mathtt',
+  'mathfrak', 'boldsymbol', 'operatorname', 'displaystyle', 'textstyle', 'overline', 'underline', 'overrightarrow',
+  'overleftarrow', 'vec', 'hat', 'bar', 'dot', 'ddot', 'tilde', 'widehat', 'widetilde', 'overbrace', 'underbrace',
+  'stackrel', 'overset', 'underset', 'cancel', 'bcancel', 'xcancel', 'boxed', 'color', 'textcolor', 'phantom',
+  'quad', 'qquad', 'hspace', 'newline', 'cr', 'hline', 'tag', 'nonumber', 'notag', 'limits', 'nolimits',
+  'times', 'div', 'cdot', 'cdotp', 'pm', 'mp', 'ast', 'star', 'circ', 'bullet', 'oplus', 'otimes', 'dagger',
+  'leq', 'le', 'geq', 'ge', 'leqslant', 'geqslant', 'neq', 'ne', 'approx', 'approxeq', 'equiv', 'sim', 'simeq',
+  'cong', 'propto', 'll', 'gg', 'lesssim', 'gtrsim', 'nleq', 'ngeq', 'not',
+  'subset', 'subseteq', 'supset', 'supseteq', 'in', 'notin', 'ni', 'cup', 'cap', 'setminus', 'emptyset', 'varnothing',
+  'forall', 'exists', 'nexists', 'neg', 'lnot', 'land', 'lor', 'wedge', 'vee', 'implies', 'impliedby', 'iff',
+  'Rightarrow', 'Leftarrow', 'Leftrightarrow', 'rightarrow', 'leftarrow', 'leftrightarrow', 'to', 'gets', 'mapsto',
+  'longrightarrow', 'Longrightarrow', 'longleftarrow', 'Longleftarrow', 'xrightarrow', 'xleftarrow', 'uparrow',
+  'downarrow', 'therefore', 'because', 'infty', 'partial', 'nabla', 'sum', 'prod', 'int', 'iint', 'iiint', 'oint',
+  'lim', 'limsup', 'liminf', 'sup', 'inf', 'max', 'min', 'log', 'ln', 'lg', 'exp', 'sin', 'cos', 'tan', 'sec', 'csc',
+  'cot', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'det', 'dim', 'deg', 'gcd', 'ker', 'arg', 'mod',
+  'bmod', 'pmod', 'angle', 'measuredangle', 'triangle', 'degree', 'perp', 'parallel', 'mid', 'ldots', 'cdots',
+  'vdots', 'ddots', 'dots', 'prime', 'hbar', 'ell', 'Re', 'Im', 'aleph', 'langle', 'rangle', 'lfloor', 'rfloor',
+  'lceil', 'rceil', 'lvert', 'rvert', 'lVert', 'rVert', 'vert', 'Vert', 'backslash', 'checkmark', 'square',
+  'colon', 'ce', 'pu',
+]);
+
+const KNOWN_LATEX_ENVIRONMENTS = new Set([
+  'align', 'align*', 'aligned', 'gather', 'gather*', 'gathered', 'split', 'multline', 'multline*',
+  'equation', 'equation*', 'cases', 'dcases', 'rcases', 'array', 'matrix', 'pmatrix', 'bmatrix', 'Bmatrix',
+  'vmatrix', 'Vmatrix', 'smallmatrix',
+]);
+
+// Strips what models wrap around LaTeX: code fences, "Here is the working:" lines and display delimiters
+function cleanLatex(raw) {
+  let text = (raw || '').trim();
+  const fence = text.match(/```[a-z]*[ \t]*\n?([\s\S]*?)```/i);
+  if (fence) text = fence[1].trim();
+  const isProse = line => {
+    const t = line.trim();
+    return !t || (/^[A-Za-z][A-Za-z ,'’()-]*[:.]?$/.test(t) && t.split(/\s+/).length >= 3);
+  };
+  const lines = text.split('\n');
+  while (lines.length > 0 && isProse(lines[0])) lines.shift();
+  while (lines.length > 0 && isProse(lines[lines.length - 1])) lines.pop();
+  return lines.join('\n').trim()
+    .replace(/^\$\$([\s\S]*)\$\$$/, '$1')
+    .replace(/^\\\[([\s\S]*)\\\]$/, '$1')
+    .replace(/^\$([^$]*)\$$/, '$1')
+    .trim();
+}
+
+// Structural problems MathLive would render in red, worded so the model can fix them
+function latexErrors(latex) {
+  if (!latex) return ['The answer is empty'];
+  const errors = [];
+  // Line breaks (\\) are not commands; blank them so "\\x" is not read as \x
+  const scan = latex.replace(/\\\\/g, '  ');
+  if (latex.includes('```')) errors.push('Remove the ``` code fences');
+  if (/(^|[^\\])\$/.test(scan)) errors.push('Remove the $ delimiters; output raw LaTeX only');
+
+  let depth = 0;
+  for (let i = 0; i < latex.length; i++) {
+    if (latex[i] === '\\') {
+      i++;
+    } else if (latex[i] === '{') {
+      depth++;
+    } else if (latex[i] === '}' && --depth < 0) {
+      errors.push(`Unmatched "}" at character ${i + 1}`);
+      depth = 0;
+    }
+  }
+  if (depth > 0) errors.push(`${depth} "{" never closed`);
+
+  const lefts = (scan.match(/\\left(?![a-zA-Z])/g) || []).length;
+  const rights = (scan.match(/\\right(?![a-zA-Z])/g) || []).length;
+  if (lefts !== rights) errors.push(`\\left and \\right do not pair up (${lefts} \\left, ${rights} \\right)`);
+
+  const envs = [];
+  for (const m of scan.matchAll(/\\(begin|end)\s*\{([^}]*)\}/g)) {
+    const name = m[2].trim();
+    if (m[1] === 'begin') {
+      if (!KNOWN_LATEX_ENVIRONMENTS.has(name)) errors.push(`Unsupported environment "${name}"`);
+      envs.push(name);
+    } else if (envs[envs.length - 1] === name) {
+      envs.pop();
+    } else {
+      errors.push(`\\end{${name}} does not match ${envs.length > 0 ? `\\begin{${envs[envs.length - 1]}}` : 'any \\begin'}`);
+    }
+  }
+  for (const name of envs) errors.push(`\\begin{${name}} is never closed`);
+
+  const unknown = [...new Set([...scan.matchAll(/\\([a-zA-Z]+)/g)].map(m => m[1]))]
+    .filter(name => !KNOWN_LATEX_COMMANDS.has(name));
+  if (unknown.length > 0) errors.push(`Unsupported command${unknown.length === 1 ? '' : 's'}: ${unknown.map(c => `\\${c}`).join(', ')}`);
+  return errors;
+}
+
+// Asks the page's MathLive (when it exposes validateLatex) for parse errors; null when unavailable
+function mathLiveErrors(latex) {
+  if (!document.body) return null;
+  document.body.setAttribute('data-atomi-latex-check', latex);
+  const script = document.createElement('script');
+  script.textContent = '(function(){var b=document.body;var s=b.getAttribute("data-atomi-latex-check");b.removeAttribute("data-atomi-latex-check");var ML=window.MathLive;var C=window.customElements&&customElements.get("math-field");var v=(ML&&ML.validateLatex)||(C&&C.validateLatex);if(typeof v!=="function")return;try{var errs=v(s)||[];b.setAttribute("data-atomi-latex-errors",JSON.stringify(errs.map(function(e){return e.code+(e.arg?" "+e.arg:"");})));}catch(e){}})();';
   (document.head || document.documentElement).appendChild(script);
   script.remove();
+  const result = document.body.getAttribute('data-atomi-latex-errors');
+  document.body.removeAttribute('data-atomi-latex-check');
+  document.body.removeAttribute('data-atomi-latex-errors');
+  if (result === null) return null;
+  try {
+    return JSON.parse(result).map(e => `MathLive: ${e}`);
+  } catch (_) {
+    return null;
+  }
+}
+
+function validateLatex(latex) {
+  const errors = latexErrors(latex);
+  if (errors.length > 0) return errors;
+  return mathLiveErrors(latex) || [];
+}
+
+function dispatchPasteWithData(mathField, latex) {
+  let dt;
+  try {
+    dt = new DataTransfer();
+    dt.setData('text/plain', latex);
+  } catch (_) {
+    return false;
+  }
+  const evt = new ClipboardEvent('paste', {
+    bubbles: true,
+    cancelable: true,
+    clipboardData: dt,
+  });
+  mathField.focus?.();
+  mathField.dispatchEvent(evt);
+  return true;
+}
+
+function forceSetValue(el, value) {
+  try {
+    const proto = Object.getPrototypeOf(el);
+    const desc = Object.getOwnPropertyDescriptor(proto, 'value') ||
+      Object.getOwnPropertyDescriptor(el, 'value');
+    if (desc?.set) {
+      desc.set.call(el, value);
+      return true;
+    }
+  } catch (_) {}
+  el.value = value;
+  return false;
+}
+
+function setMathFieldValueInPage(mathFieldId, latex) {
+  if (!mathFieldId || !document.body) return;
+  const safeId = String(mathFieldId).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/</g, '\\u003c');
+  document.body.setAttribute('data-atomi-latex-temp', latex);
+  const script = document.createElement('script');
+  script.textContent = '(function(){var el=document.getElementById("' + safeId + '");var s=document.body.getAttribute("data-atomi-latex-temp");document.body.removeAttribute("data-atomi-latex-temp");if(!el||!s)return;try{if(typeof el.setValue==="function")el.setValue(s,{insertionMode:"replaceAll",format:"latex"});else el.value=s;el.dispatchEvent(new InputEvent("input",{bubbles:true}));el.dispatchEvent(new Event("change",{bubbles:true}));}catch(e){}})();';
+  (document.head || document.documentElement).appendChild(script);
+  script.remove();
+}
+
+async function setMathFieldValue(mathField, latex) {
+  const id = mathField.id;
+  mathField.focus?.();
+  mathField.scrollIntoView?.({ block: 'center' });
+
+  if (id) setMathFieldValueInPage(id, latex);
+  dispatchPasteWithData(mathField, latex);
+  await new Promise(r => setTimeout(r, 80));
+
+  const opts = { insertionMode: 'replaceAll', format: 'latex' };
+  if (typeof mathField.setValue === 'function') {
+    mathField.setValue(latex, opts);
+  } else if (typeof mathField.insert === 'function') {
+    mathField.insert(latex, opts);
+  } else if (typeof mathField.executeCommand === 'function') {
+    mathField.executeCommand('selectAll');
+    mathField.executeCommand('insert', latex, { insertionMode: 'replaceSelection' });
+  } else {
+    forceSetValue(mathField, latex);
+  }
+
+  try {
+    mathField.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText' }));
+    mathField.dispatchEvent(new Event('change', { bubbles: true }));
+  } catch (_) {}
+
+  await new Promise(r => setTimeout(r, 120));
+  if (typeof mathField.setValue === 'function') {
+    mathField.setValue(latex, opts);
+  } else {
+    forceSetValue(mathField, latex);
+  }
+  mathField.dispatchEvent(new InputEvent('input', { bubbles: true }));
+}
+
+function extractWorkingOut() {
+  const mathField = getMathField();
+  if (!mathField) return { error: 'No math input found' };
+  const parts = getWorkingOutParts();
+  // Fall back to the page text when the question container is not recognised
+  const question = getWorkingOutQuestionText({ withMarks: !parts }) || document.body?.innerText?.slice(0, 3000) || '';
+  if (!question) return { error: 'No question text found' };
+  return { question, mathField, parts: parts || [{ label: null, text: question, marks: null, mathField }] };
+}
+
+// What is sent for one part: the whole question for context, the working given for earlier parts,
+// then the part to answer. A single-part question is sent as it is
+function workingOutPartQuestion(question, part, solved) {
+  if (!part.label) return question;
+  const earlier = solved.filter(p => p.latex).map(p => `${p.label} ${p.latex}`);
+  const marks = part.marks ? ` (${part.marks} mark${part.marks === 1 ? '' : 's'})` : '';
+  return `${question}${earlier.length > 0 ? `\n\nWorking already given for the earlier parts:\n${earlier.join('\n')}` : ''}` +
+    `\n\nAnswer part ${part.label} only${marks}${part.text ? `: ${part.text}` : '.'}`;
+}
+
+// One part's working. Re-asks with the specific problems until the LaTeX validates; keeps the attempt with the fewest
+async function solveWorkingOutPart(config, question, images, { index, label, status }) {
+  const onText = settings.streamWorkingOut
+    ? ({ content }) => renderWorkingPreview(index, partialLatex(content), { streaming: true })
+    : undefined;
+  const raw = await callLLMForWorkingOut(config, question, images, null, onText);
+  if (!raw) return { latex: '', errors: ['The answer is empty'], repairs: 0 };
+
+  let best = { latex: cleanLatex(raw) };
+  best.errors = validateLatex(best.latex);
+  let repairs = 0;
+  while (best.errors.length > 0 && repairs < settings.latexMaxRepairs) {
+    repairs++;
+    status?.(`Fixing LaTeX${label ? ` for part ${label}` : ''} (${repairs}/${settings.latexMaxRepairs}): ${best.errors[0]}`);
+    const latex = cleanLatex(await callLLMForWorkingOut(config, question, images, best, onText));
+    const errors = validateLatex(latex);
+    if (errors.length <= best.errors.length) best = { latex, errors };
+  }
+  return { ...best, repairs };
+}
+
+// How the working is stored and shown as one text: each part on its own line after its label
+function joinPartsLatex(parts) {
+  return parts.map(p => (p.label ? `${p.label} ${p.latex}` : p.latex)).join('\n');
+}
+
+// Parts are solved in turn, each with the working already given for the ones before it. Unattended
+// (Run All, Autopilot), working that still fails validation stays in the preview for the user instead of the page
+async function solveWorkingOut(config, extracted, { status, unattended = false } = {}) {
+  const { question, parts } = extracted;
+  status?.('Solving working out...');
+  const started = performance.now();
+  const historyBase = { type: 'working-out', question, model: config.model };
+  workingPreview = null;
+  renderWorkingParts(parts);
+  try {
+    const images = await buildImageParts(config, [{ label: 'Question image', images: getWorkingOutImages() }]);
+    const solved = [];
+    for (const [index, part] of parts.entries()) {
+      if (part.label) {
+        status?.(`Solving part ${part.label} (${index + 1}/${parts.length})...`);
+        setWorkingPartStatus(index, 'writing…');
+      }
+      const { latex, errors, repairs } = await solveWorkingOutPart(config, workingOutPartQuestion(question, part, solved), images,
+        { index, label: part.label, status });
+      solved.push({ label: part.label, marks: part.marks, latex, latexErrors: errors, repairs });
+      renderWorkingPreview(index, latex, { errors });
+      if (part.label) setWorkingPartStatus(index, !latex ? 'no answer' : errors.length > 0 ? 'may not render' : 'ready');
+    }
+
+    const latencyMs = Math.round(performance.now() - started);
+    if (solved.every(p => !p.latex)) {
+      renderWorkingParts(null);
+      await recordHistory({ ...historyBase, latencyMs, error: 'Empty API response' });
+      return { success: false, error: 'Empty response from API' };
+    }
+    const latex = joinPartsLatex(solved);
+    const latexErrors = solved.flatMap(p => p.latexErrors.map(e => (p.label ? `${p.label} ${e}` : e)));
+    const historyId = await recordHistory({
+      ...historyBase,
+      latencyMs,
+      latex,
+      latexRepairs: solved.reduce((sum, p) => sum + p.repairs, 0),
+      latexErrors: latexErrors.length > 0 ? latexErrors : undefined,
+    });
+    workingPreview = { question, latex, parts: solved, historyId, extracted };
+    const insertBtn = document.getElementById('atomi-working-insert');
+    if (insertBtn) insertBtn.disabled = false;
+    if (unattended && latexErrors.length > 0) {
+      return { success: false, needsYou: true, error: `The LaTeX may not render (${latexErrors.join('; ')}) – fix it in the preview, then Insert and self-mark` };
+    }
+    return { success: true, latex, latexErrors, parts: solved, historyId };
+  } catch (err) {
+    renderWorkingParts(null);
+    await recordHistory({ ...historyBase, latencyMs: Math.round(performance.now() - started), error: err.message });
+    throw err;
+  }
+}
+
+// Closes a code fence the model has opened but not finished yet, so the fence is stripped while streaming
+function partialLatex(text) {
+  const fences = (text.match(/```/g) || []).length;
+  return cleanLatex(fences % 2 === 1 ? `${text}\n\`\`\`` : text);
+}
+
+// The solution the panel's working-out pane was filled from: { question, latex, parts, historyId, extracted }
+let workingPreview = null;
+
+// One block per part in the panel's working-out pane: the part's label, marks and status (multi-part only),
+// its LaTeX rendered by the page's MathLive, and an editable copy. null hides the pane
+function renderWorkingParts(parts) {
+  const pane = document.getElementById('atomi-working-preview');
+  const list = document.getElementById('atomi-working-parts');
+  if (!pane || !list) return;
+  list.textContent = '';
+  pane.style.display = parts ? '' : 'none';
+  document.getElementById('atomi-working-insert').disabled = true;
+  for (const [index, part] of (parts || []).entries()) {
+    const block = document.createElement('div');
+    block.className = 'atomi-working-part';
+    block.dataset.part = index;
+    block.innerHTML = `
+      <div class="atomi-working-part-head" style="display:none;"></div>
+      <math-field class="atomi-working-math" id="atomi-working-math-${index}" read-only></math-field>
+      <textarea class="atomi-working-latex" rows="${parts.length > 1 ? 3 : 6}" spellcheck="false" readonly></textarea>
+      <div class="atomi-working-errors" style="display:none;"></div>
+    `;
+    const head = block.querySelector('.atomi-working-part-head');
+    const input = block.querySelector('.atomi-working-latex');
+    if (part.label) {
+      head.dataset.label = `${part.label}${part.marks ? ` · ${part.marks} mark${part.marks === 1 ? '' : 's'}` : ''}`;
+      head.textContent = `${head.dataset.label} – waiting`;
+      head.style.display = '';
+    }
+    input.setAttribute('aria-label', part.label ? `Working out for part ${part.label} (LaTeX)` : 'Working out (LaTeX)');
+    let renderTimer = 0;
+    input.oninput = () => {
+      clearTimeout(renderTimer);
+      renderTimer = setTimeout(() => {
+        const latex = input.value.trim();
+        renderWorkingMath(block, latex);
+        showWorkingErrors(block, latex ? validateLatex(latex) : []);
+      }, 300);
+    };
+    list.appendChild(block);
+  }
+}
+
+function workingPartBlock(index) {
+  return document.querySelector(`#atomi-working-parts [data-part="${index}"]`);
+}
+
+function setWorkingPartStatus(index, status) {
+  const head = workingPartBlock(index)?.querySelector('.atomi-working-part-head');
+  if (head?.dataset.label) head.textContent = `${head.dataset.label} – ${status}`;
+}
+
+// The textarea is read-only while the working is still being written. Only the finished working
+// is rendered: each render runs a script in the page, whose input events the host page sees too
+function renderWorkingPreview(index, latex, { streaming = false, errors } = {}) {
+  const block = workingPartBlock(index);
+  if (!block) return;
+  const input = block.querySelector('.atomi-working-latex');
+  input.value = latex;
+  input.readOnly = streaming;
+  if (!streaming) renderWorkingMath(block, latex);
+  showWorkingErrors(block, streaming ? [] : errors || validateLatex(latex));
+}
+
+function renderWorkingMath(block, latex) {
+  const mathField = block.querySelector('.atomi-working-math');
+  // Without the page's MathLive the element stays unknown and shows the LaTeX as text
+  if (mathField.matches(':defined')) setMathFieldValueInPage(mathField.id, latex || ' ');
+  else mathField.textContent = latex;
+}
+
+function showWorkingErrors(block, errors) {
+  const box = block.querySelector('.atomi-working-errors');
+  box.textContent = errors.length > 0 ? `May not render: ${errors.join('; ')}` : '';
+  box.style.display = errors.length > 0 ? '' : 'none';
+}
+
+// Fills each answer field from its block in the pane, keeping any edits in the history entry
+async function insertWorkingOut(statusCallback) {
+  if (!workingPreview) return false;
+  const { extracted, historyId } = workingPreview;
+  if (extracted.parts.some(p => !p.mathField.isConnected)) {
+    statusCallback('Error: The answer fields have changed – solve the working out again');
+    return false;
+  }
+  const inputs = document.querySelectorAll('#atomi-working-parts .atomi-working-latex');
+  const parts = workingPreview.parts.map((p, i) => ({ ...p, latex: inputs[i]?.value.trim() ?? p.latex }));
+  const latex = joinPartsLatex(parts);
+  const edited = latex !== workingPreview.latex;
+  await getQuestionHandler('working-out').fill({ latex, parts, historyId }, extracted);
+  if (edited && historyId) await updateHistoryEntry(historyId, { latex, latexEdited: true });
+  Object.assign(workingPreview, { latex, parts });
+  statusCallback(edited ? 'Edited working out inserted' : 'Working out inserted');
+  return true;
+}
+
+// Solves into the pane without touching the page; the user checks or edits it and clicks Insert
+async function previewWorkingOut(config, statusCallback) {
+  const overBudget = await tokenBudgetProblem();
+  if (overBudget) {
+    statusCallback(`Stopped: ${overBudget}`);
+    return false;
+  }
+  const extracted = extractWorkingOut();
+  if (extracted.error) {
+    statusCallback(`Error: ${extracted.error}`);
+    return false;
+  }
+  try {
+    const solution = await solveWorkingOut(config, extracted, { status: statusCallback });
+    if (!solution.success) {
+      statusCallback(`Error: ${solution.error}`);
+      return false;
+    }
+    statusCallback(solution.latexErrors.length > 0
+      ? 'Working out ready, but the LaTeX may not render – fix it in the preview, then Insert'
+      : 'Working out ready – edit it in the preview if needed, then Insert');
+    return true;
+  } catch (err) {
+    statusCallback(`Error: ${err.message}`);
+    return false;
+  }
+}
+
+// Remembers the last filled working so Self-mark can compare it after the page moves on:
+// { latex, question, historyId, url, fields, pageQuestion }
+let lastWorkingOut = null;
+
+// The remembered working while its question is still on screen (same address, answer fields and
+// question text); Autopilot, Run All and in-app navigation move on without telling us
+function currentWorkingOut() {
+  const filled = lastWorkingOut;
+  if (!filled) return null;
+  if (filled.url === location.href && filled.fields.some(f => f.isConnected) &&
+      filled.pageQuestion === getWorkingOutQuestionText()) return filled;
+  lastWorkingOut = null;
+  return null;
+}
+
+// What is in the answer fields now, labelled per part like the solver's own working
+function readPageWorkingOut() {
+  const parts = getWorkingOutParts();
+  if (!parts) return readMathFieldLatex(getMathField());
+  const filled = parts.map(p => ({ label: p.label, latex: readMathFieldLatex(p.mathField) }));
+  return filled.some(p => p.latex) ? joinPartsLatex(filled) : '';
+}
+
+function getSelfMarkButton() {
+  return Array.from(document.querySelectorAll('button')).find(b =>
+    (b.textContent || '').includes('Self-mark') && !b.closest('#atomi-autosolver-panel')) || null;
+}
+
+function markdownRootTexts() {
+  return Array.from(document.querySelectorAll(QUIZ_SELECTORS.markdownRoot))
+    .filter(el => !el.closest('#atomi-autosolver-panel'))
+    .map(el => ({ el, text: extractStructuredText(el) }))
+    .filter(r => r.text);
+}
+
+function criterionBoxes() {
+  return Array.from(document.querySelectorAll('[role="checkbox"], input[type="checkbox"]'))
+    .filter(el => !el.closest('#atomi-autosolver-panel'));
+}
+
+function criterionText(box) {
+  const container = box.labels?.[0] || box.closest('label, li, [role="listitem"]') || box;
+  return extractStructuredText(container) || (box.getAttribute('aria-label') || '').trim();
+}
+
+function criterionMarks(text) {
+  const m = text.match(/\(?\b(\d+)\s*marks?\b\)?/i);
+  return m ? parseInt(m[1], 10) : 1;
+}
+
+// After Self-mark: new Markdown blocks are the worked solution; new checkboxes (or the list
+// under a "criteria" heading) are the marking criteria
+function readSelfMarkContent(before) {
+  const criteria = [];
+  const newBoxes = criterionBoxes().filter(el => !before.boxes.includes(el));
+  for (const box of newBoxes) {
+    const text = criterionText(box);
+    if (text) criteria.push({ text, marks: criterionMarks(text), el: box.closest('label, li, [role="listitem"]') || box });
+  }
+  if (criteria.length === 0) {
+    const heading = Array.from(document.querySelectorAll('h2, h3, h4, h5, strong, p')).find(el =>
+      !el.closest('#atomi-autosolver-panel') && /marking (criteria|guide)|criteria/i.test(el.textContent || '') &&
+      (el.textContent || '').length < 60);
+    const list = heading?.closest('section, div')?.querySelector('ol, ul');
+    for (const li of list?.querySelectorAll(':scope > li') || []) {
+      const text = extractStructuredText(li);
+      if (text) criteria.push({ text, marks: criterionMarks(text), el: li });
+    }
+  }
+  const solution = markdownRootTexts()
+    .filter(r => !before.texts.includes(r.text) && !criteria.some(c => c.el.contains(r.el)))
+    .map(r => r.text)
+    .join('\n\n');
+  return { solution, criteria };
+}
+
+function readMathFieldLatex(mathField) {
+  const value = mathField?.value ?? mathField?.getAttribute?.('value');
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Awarded marks per criterion from "N: awarded/available – reason" lines
+function parseSelfMark(content, criteria) {
+  const results = criteria.map(c => ({ text: c.text, marks: c.marks, awarded: null, reason: '' }));
+  for (const line of content.split('\n')) {
+    const m = line.match(/^\s*\**\s*(?:criterion\s*)?(\d+)\s*\**\s*[:.)]\s*(\d+(?:\.\d+)?)\s*(?:\/\s*\d+(?:\.\d+)?)?\s*(?:marks?)?\s*[-–—:]?\s*(.*)$/i);
+    if (!m) continue;
+    const r = results[parseInt(m[1], 10) - 1];
+    if (!r || r.awarded !== null) continue;
+    r.awarded = Math.max(0, Math.min(r.marks, parseFloat(m[2])));
+    r.reason = m[3].trim();
+  }
+  return results;
+}
+
+async function callLLMForSelfMark(config, { question, working, solution, criteria }) {
+  const userContent = `Question:\n${question}\n\nWorked solution:\n${solution || '(not shown)'}\n\n` +
+    `Marking criteria:\n${criteria.map((c, i) => `${i + 1}. ${c.text}${/\bmarks?\b/i.test(c.text) ? '' : ` (${c.marks} mark${c.marks === 1 ? '' : 's'})`}`).join('\n')}\n\n` +
+    `Student's working (LaTeX):\n${working}\n\nMark each criterion:`;
+  return askModel(config, settings.selfMarkPrompt, userContent, { max_tokens: 1024 });
+}
+
+// Clicks Self-mark, reads Atomi's worked solution and criteria, and has the model mark the filled working
+async function runSelfMark(config, statusCallback) {
+  const filled = currentWorkingOut();
+  const working = filled?.latex || readPageWorkingOut();
+  if (!working) {
+    statusCallback('Fill in the working out first');
+    return false;
+  }
+  const question = filled?.question || getWorkingOutQuestionText();
+  const before = { texts: markdownRootTexts().map(r => r.text), boxes: criterionBoxes() };
+
+  const selfMarkBtn = getSelfMarkButton();
+  if (selfMarkBtn) {
+    statusCallback('Opening self-mark...');
+    const start = Date.now();
+    while (selfMarkBtn.getAttribute('aria-disabled') === 'true' && Date.now() - start < 5000) await waitFor(200);
+    selfMarkBtn.click();
+  }
+
+  let content = { solution: '', criteria: [] };
+  const start = Date.now();
+  while (Date.now() - start < 8000) {
+    await waitFor(400);
+    content = readSelfMarkContent(before);
+    if (content.criteria.length > 0) break;
+  }
+  if (content.criteria.length === 0) {
+    statusCallback('Error: Could not find the marking criteria');
+    return false;
+  }
+
+  statusCallback('Comparing against the marking criteria...');
+  try {
+    const reply = await callLLMForSelfMark(config, { question, working, ...content });
+    const results = parseSelfMark(reply, content.criteria);
+    const awarded = results.reduce((sum, r) => sum + (r.awarded || 0), 0);
+    const total = results.reduce((sum, r) => sum + r.marks, 0);
+    renderSelfMark(results, awarded, total);
+    if (filled?.historyId) {
+      await updateHistoryEntry(filled.historyId, {
+        selfMark: `${awarded}/${total}`,
+        outcome: awarded >= total ? 'correct' : 'incorrect',
+      });
+    }
+    statusCallback(`Self-mark: ${awarded}/${total} marks`);
+    return true;
+  } catch (err) {
+    statusCallback(`Error: ${err.message}`);
+    return false;
+  }
+}
+
+function renderSelfMark(results, awarded, total) {
+  const box = document.getElementById('atomi-self-mark-result');
+  if (!box) return;
+  box.textContent = '';
+  if (!results) {
+    box.style.display = 'none';
+    return;
+  }
+  const add = (cls, text) => {
+    const el = document.createElement('div');
+    el.className = cls;
+    el.textContent = text;
+    box.appendChild(el);
+  };
+  add('atomi-explanation-title', `Estimated mark: ${awarded}/${total}`);
+  for (const r of results) {
+    const mark = r.awarded === null ? '?' : r.awarded;
+    const icon = r.awarded === null ? '•' : r.awarded >= r.marks ? '✓' : r.awarded > 0 ? '½' : '✗';
+    add(r.awarded !== null && r.awarded >= r.marks ? 'atomi-explanation-why' : 'atomi-explanation-other',
+      `${icon} ${mark}/${r.marks} ${r.text}${r.reason ? ` – ${r.reason}` : ''}`);
+  }
+  box.style.display = 'block';
+}
+
+function clearSuggestedAnswer() {
+  document.querySelectorAll('.atomi-suggested').forEach(el => el.classList.remove('atomi-suggested'));
+}
+
+function highlightSuggestedAnswers(buttons) {
+  clearSuggestedAnswer();
+  for (const button of buttons) button.classList.add('atomi-suggested');
+  buttons[0]?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+}
+
+// Clicks each option that is not already selected, leaving React time to update between clicks
+async function selectAnswers(buttons, indices) {
+  for (const i of indices) {
+    const button = buttons[i - 1];
+    if (!button || isAnswerSelected(button)) continue;
+    button.click();
+    if (indices.length > 1) await waitFor(150);
+  }
+}
+
+function extractMultipleChoice() {
+  const question = getQuestionText();
+  const answers = getAnswers();
+  const buttons = getAnswerButtons();
+  if (!question || answers.length === 0 || buttons.length === 0) {
+    return { error: 'Could not extract question or answers' };
+  }
+  return { question, answers, multi: isMultiSelectQuestion(), optionCount: buttons.length };
+}
+
+// minConfidence (0-1) is compared with the ensemble's vote share, or else the model's own confidence
+async function solveMultipleChoice(config, { question, answers, multi, optionCount }, { minConfidence = 0 } = {}) {
+  const historyBase = { type: multi ? 'multi-select' : 'multiple-choice', question, options: answers };
+  const cached = await lookupCachedAnswer(question, answers);
+  if (cached && cached.every(i => i <= optionCount) && (multi || cached.length === 1)) {
+    const historyId = await recordHistory({ ...historyBase, chosenIndex: multi ? cached : cached[0], model: 'cache', latencyMs: 0, fromCache: true });
+    return { success: true, indices: cached, multi, fromCache: true, historyId };
+  }
+
+  const started = performance.now();
+  let pick;
+  try {
+    pick = await pickAnswer(config, question, answers, await getQuizImageParts(config), multi);
+  } catch (err) {
+    await recordHistory({ ...historyBase, model: config.model, latencyMs: Math.round(performance.now() - started), error: err.message });
+    throw err;
+  }
+  const indices = pick.indices;
+  const historyId = await recordHistory({
+    ...historyBase,
+    chosenIndex: multi ? indices : indices?.[0] ?? null,
+    model: pick.model,
+    latencyMs: Math.round(performance.now() - started),
+    confidence: pick.confidence,
+    modelConfidence: pick.modelConfidence,
+    rationale: pick.rationale,
+    ...(pick.parseError && { error: 'Unparsable response' }),
+  });
+  if (!indices) {
+    return { success: false, unparsable: true, error: `Could not parse the model's answer: ${pick.parseError || 'no answer'}` };
+  }
+  if (indices.length === 0 || indices.some(i => i < 1 || i > optionCount)) {
+    return { success: false, error: `Invalid API response (got ${indices})` };
+  }
+
+  const confidence = pick.confidence ?? pick.modelConfidence;
+  if (confidence !== undefined && confidence < minConfidence) {
+    const buttons = getAnswerButtons();
+    highlightSuggestedAnswers(indices.map(i => buttons[i - 1]));
+    return { success: false, lowConfidence: true, error: 'Low confidence', ...pick, multi, historyId };
+  }
+  return { success: true, ...pick, multi, historyId };
+}
+
+// Check Answer reveals the result: learn the correct option(s) and mark the history entry
+async function recordMultipleChoiceFeedback(solution, { question, answers }) {
+  const feedback = readAnswerFeedback();
+  const selected = feedback.selectedIndices.length > 0 ? feedback.selectedIndices : solution.indices || [];
+  await recordAnswerFeedback(question, answers, selected, feedback);
+  await updateHistoryOutcome(solution.historyId, feedback.outcome);
+}
+
+// Resolves with 'accept', 'continue' or 'stop' once the user acts on a paused question
+function waitForHumanDecision() {
+  const section = document.getElementById('atomi-decision-section');
+  if (section) section.style.display = '';
+  return new Promise(resolve => { pendingDecision = resolve; });
+}
+
+function resolveHumanDecision(decision) {
+  const section = document.getElementById('atomi-decision-section');
+  if (section) section.style.display = 'none';
+  const reviewSection = document.getElementById('atomi-review-section');
+  if (reviewSection) reviewSection.style.display = 'none';
+  stopReviewCountdown();
+  if (!pendingDecision) return;
+  const resolve = pendingDecision;
+  pendingDecision = null;
+  resolve(decision);
+}
+
+// Interval and page listeners of a running auto-confirm countdown
+let reviewCountdown = null;
+
+// Review mode: resolves with 'confirm', 'skip' or 'stop' once the user acts on a filled answer.
+// With an auto-confirm delay set it confirms by itself, unless the user touches the page first
+function waitForReview(handler, solution, response) {
+  renderReview(handler, solution, response);
+  const section = document.getElementById('atomi-review-section');
+  if (section) section.style.display = '';
+  const decision = new Promise(resolve => { pendingDecision = resolve; });
+  if (settings.reviewAutoConfirmSeconds > 0) startReviewCountdown(settings.reviewAutoConfirmSeconds);
+  return decision;
+}
+
+function startReviewCountdown(seconds) {
+  const confirmBtn = document.getElementById('atomi-review-confirm');
+  if (!confirmBtn) return;
+  let left = seconds;
+  const tick = () => {
+    if (left <= 0) {
+      resolveHumanDecision('confirm');
+      return;
+    }
+    confirmBtn.textContent = `Confirm (${left})`;
+    left--;
+  };
+  // Changing the answer on the page means the user is taking over
+  const cancel = (e) => {
+    if (e.target?.closest?.('#atomi-autosolver-panel')) return;
+    stopReviewCountdown();
+    const statusEl = document.getElementById('atomi-status');
+    if (statusEl) statusEl.textContent = 'Auto-confirm cancelled – Confirm or Skip when you are ready';
+  };
+  reviewCountdown = { timer: setInterval(tick, 1000), cancel };
+  document.addEventListener('pointerdown', cancel, true);
+  document.addEventListener('keydown', cancel, true);
+  tick();
+}
+
+function stopReviewCountdown() {
+  if (!reviewCountdown) return;
+  clearInterval(reviewCountdown.timer);
+  document.removeEventListener('pointerdown', reviewCountdown.cancel, true);
+  document.removeEventListener('keydown', reviewCountdown.cancel, true);
+  reviewCountdown = null;
+  const confirmBtn = document.getElementById('atomi-review-confirm');
+  if (confirmBtn) confirmBtn.textContent = 'Confirm';
+}
+
+function reviewReasons(solution, response) {
+  if (solution.fromCache) return 'From the answer cache: Atomi marked this answer correct before.';
+  if (solution.votes) {
+    const votes = Object.entries(solution.votes).sort((a, b) => b[1] - a[1]).map(([key, n]) => `${key} ×${n}`);
+    return `Ensemble votes: ${votes.join(', ')}`;
+  }
+  return solution.rationale || responseReasoning(response) || 'The model gave no reasoning. Turn on "Reason step by step" in a subject profile on the options page to see its working.';
+}
+
+function renderReview(handler, solution, response) {
+  const box = document.getElementById('atomi-review');
+  if (!box) return;
+  box.textContent = '';
+  const add = (cls, text) => {
+    const el = document.createElement('div');
+    el.className = cls;
+    el.textContent = text;
+    box.appendChild(el);
+  };
+  add('atomi-explanation-title', handler.describe(solution));
+  const answer = handler.review?.(solution, solution.extracted);
+  if (answer) add('atomi-review-text', answer);
+  add('atomi-explanation-title', 'Why');
+  add('atomi-review-text', reviewReasons(solution, response));
+  add('atomi-explanation-other', handler.submit
+    ? 'Change the answer on the page if you like, then Confirm to check it. Skip moves on without checking.'
+    : 'Edit the working in the preview if you like, then Confirm to insert it and end the run so you can self-mark. Skip moves on without inserting.');
+}
+
+// Study mode: highlight the model's choice instead of clicking it
+async function explainCurrentQuestion(config) {
+  const question = getQuestionText();
+  const answers = getAnswers();
+  const buttons = getAnswerButtons();
+
+  if (!question || answers.length === 0 || buttons.length === 0) {
+    return { success: false, error: 'Could not extract question or answers' };
+  }
+
+  const multi = isMultiSelectQuestion();
+  const started = performance.now();
+  const result = await callLLMForStudy(config, question, answers, await getQuizImageParts(config), multi);
+  await recordHistory({
+    type: 'study',
+    question,
+    options: answers,
+    chosenIndex: multi ? result.indices : result.indices?.[0] ?? null,
+    model: config.model,
+    latencyMs: Math.round(performance.now() - started),
+  });
+  if (!result.indices || result.indices.some(i => i > buttons.length)) {
+    return { success: false, error: 'Could not read the suggested answer' };
+  }
+
+  highlightSuggestedAnswers(result.indices.map(i => buttons[i - 1]));
+  return { success: true, ...result };
+}
+
+function renderExplanation(result) {
+  const box = document.getElementById('atomi-explanation');
+  if (!box) return;
+  box.textContent = '';
+  if (!result) {
+    box.style.display = 'none';
+    return;
+  }
+  const add = (cls, text) => {
+    const el = document.createElement('div');
+    el.className = cls;
+    el.textContent = text;
+    box.appendChild(el);
+  };
+  add('atomi-explanation-title', `Suggested: ${describeChoice(result.indices)}`);
+  if (result.why) add('atomi-explanation-why', result.why);
+  if (result.others.length > 0) {
+    add('atomi-explanation-title', 'Other options');
+    for (const o of result.others) add('atomi-explanation-other', `${o.index}: ${o.reason}`);
+  }
+  box.style.display = 'block';
+}
+
+async function runStudyExplain(config, statusCallback) {
+  statusCallback('Thinking it through...');
+  renderExplanation(null);
+  try {
+    const result = await explainCurrentQuestion(config);
+    if (result.success) {
+      statusCallback(`Suggested ${describeChoice(result.indices)} (not clicked)`);
+      renderExplanation(result);
+    } else {
+      statusCallback(`Error: ${result.error}`);
+    }
+    return result.success;
+  } catch (err) {
+    statusCallback(`Error: ${err.message}`);
+    return false;
+  }
+}
+
+function waitFor(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitForCheckAnswerEnabled(timeout = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const btn = QUIZ_SELECTORS.checkAnswerBtn(document);
+    if (btn && !btn.hasAttribute('aria-disabled')) return btn;
+    await waitFor(200);
+  }
+  return null;
+}
+
+async function waitForNextButton(timeout = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const btn = QUIZ_SELECTORS.nextButton(document);
+    if (btn && !btn.disabled) return btn;
+    await waitFor(200);
+  }
+  return null;
+}
+
+// Text inputs and dropdowns inside the question, excluding our panel and anything locked or hidden
+function getAnswerInputs() {
+  const region = document.querySelector(QUIZ_SELECTORS.article) || document.querySelector('main');
+  if (!region) return [];
+  return Array.from(region.querySelectorAll('input, textarea, select')).filter(el => {
+    if (el.closest('#atomi-autosolver-panel') || el.disabled || el.readOnly) return false;
+    if (el.tagName === 'INPUT' && !['text', 'number'].includes(el.type)) return false;
+    if (hasInertAncestor(el) || el.closest('[hidden], [aria-hidden="true"]')) return false;
+    const style = getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden';
+  });
+}
+
+// A blank sits inside a sentence: its paragraph, list item or cell has text of its own
+function isInlineBlank(input) {
+  if (input.tagName === 'SELECT') return true;
+  const block = input.closest(`p, li, td, th, ${QUIZ_SELECTORS.markdown}`);
+  return !!block && (block.textContent || '').trim().length > 0;
+}
+
+function selectOptions(select) {
+  return Array.from(select.options).filter(o => o.value !== '' && !o.disabled).map(o => o.textContent.trim());
+}
+
+// Question text with each input replaced by a numbered [blank N] marker
+function getInputQuestionText(inputs) {
+  const region = document.querySelector(QUIZ_SELECTORS.article) || document.querySelector('main');
+  const text = extractStructuredText(region, {
+    skip: el => el.tagName === 'BUTTON',
+    replace: el => {
+      const i = inputs.indexOf(el);
+      if (i < 0) return null;
+      if (inputs.length === 1 && !isInlineBlank(el)) return ' ';
+      const choices = el.tagName === 'SELECT' ? ` {${selectOptions(el).join(' | ')}}` : '';
+      return ` [blank ${i + 1}${choices}] `;
+    },
+  });
+  return text.replace(/Atomi Question\s*/i, '').trim();
+}
+
+// Types into a React-controlled input so the page sees the change
+function setInputValue(el, value) {
+  el.focus?.();
+  if (el.tagName === 'SELECT') {
+    const wanted = normalizeText(value);
+    const options = Array.from(el.options).filter(o => o.value !== '' && !o.disabled);
+    const option = options.find(o => normalizeText(o.textContent) === wanted) ||
+      options.find(o => normalizeText(o.textContent).includes(wanted) || wanted.includes(normalizeText(o.textContent)));
+    if (!option) return false;
+    forceSetValue(el, option.value);
+  } else {
+    forceSetValue(el, value);
+  }
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+  return true;
+}
+
+// Drops wrappers models like to add around a bare answer
+function cleanShortAnswer(content, numeric) {
+  const lines = content.split('\n').map(l => l.trim()).filter(Boolean);
+  let answer = (lines[lines.length - 1] || '')
+    .replace(/^\**\s*(final\s+)?answer\s*[:=]\s*\**/i, '')
+    .replace(/^[`"'$]+|[`"'$.]+$/g, '')
+    .trim();
+  if (numeric) answer = answer.replace(/,(?=\d{3}\b)/g, '').match(/-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/i)?.[0] || '';
+  return answer;
+}
+
+// Every "N: answer" line in the reply, as an array indexed by blank (missing blanks stay undefined)
+function parseBlankAnswers(content, count) {
+  const values = new Array(count);
+  for (const line of content.split('\n')) {
+    const m = line.match(/^\s*\**\s*(?:blank\s*)?(\d+)\s*\**\s*[:.)=-]\s*(.+)$/i);
+    if (!m) continue;
+    const n = parseInt(m[1], 10);
+    if (n >= 1 && n <= count && values[n - 1] === undefined) values[n - 1] = cleanShortAnswer(m[2], false);
+  }
+  if (count === 1 && values[0] === undefined && content.trim()) values[0] = cleanShortAnswer(content, false);
+  return values;
+}
+
+async function askModel(config, systemPrompt, userContent, { images, max_tokens = 256 } = {}) {
+  const data = await createChatCompletion(config, {
+    messages: [
+      { role: 'system', content: withReasoning(config, systemPrompt) },
+      userMessage(userContent, images),
+    ],
+    max_tokens: config.profile?.reasoning ? Math.max(max_tokens, REASONING_MAX_TOKENS) : max_tokens,
+    temperature: config.profile?.temperature ?? 0,
+  });
+  return finalAnswer((data.choices?.[0]?.message?.content || '').trim());
+}
+
+// Shared by the input handlers: time the call and record it, successful or not
+async function solveWithHistory(config, historyBase, solve) {
+  const started = performance.now();
+  try {
+    const result = await solve();
+    const historyId = await recordHistory({ ...historyBase, ...result.history, model: config.model, latencyMs: Math.round(performance.now() - started) });
+    return { ...result, historyId };
+  } catch (err) {
+    await recordHistory({ ...historyBase, model: config.model, latencyMs: Math.round(performance.now() - started), error: err.message });
+    throw err;
+  }
+}
+
+function extractShortAnswer() {
+  const [input] = getAnswerInputs();
+  if (!input) return { error: 'No answer box found' };
+  const question = getInputQuestionText([input]);
+  if (!question) return { error: 'Could not extract question' };
+  return { question, numeric: input.type === 'number' };
+}
+
+async function solveShortAnswer(config, { question, numeric }) {
+  return solveWithHistory(config, { type: 'short-answer', question }, async () => {
+    const instruction = numeric ? 'Reply with only the number:' : 'Reply with only the final answer:';
+    const images = await buildImageParts(config, [{ label: 'Question image', images: getQuestionImages() }]);
+    const answer = cleanShortAnswer(await askModel(config, settings.shortAnswerPrompt, `Question:\n${question}\n\n${instruction}`, { images }), numeric);
+    if (!answer) return { success: false, error: 'Empty response from API', history: { error: 'Empty API response' } };
+    return { success: true, answer, history: { answer } };
+  });
+}
+
+function extractFillBlank() {
+  const inputs = getAnswerInputs();
+  if (inputs.length === 0) return { error: 'No blanks found' };
+  const question = getInputQuestionText(inputs);
+  if (!question) return { error: 'Could not extract question' };
+  return { question, count: inputs.length };
+}
+
+async function solveFillBlank(config, { question, count }) {
+  return solveWithHistory(config, { type: 'fill-blank', question }, async () => {
+    const userContent = `Question:\n${question}\n\nThere ${count === 1 ? 'is 1 blank' : `are ${count} blanks`}. Reply with one "<number>: <answer>" line per blank (1-${count}):`;
+    const images = await buildImageParts(config, [{ label: 'Question image', images: getQuestionImages() }]);
+    const values = parseBlankAnswers(await askModel(config, settings.fillBlankPrompt, userContent, { images, max_tokens: 512 }), count);
+    const answer = values.map((v, i) => `${i + 1}: ${v ?? ''}`).join('\n');
+    if (values.every(v => v === undefined)) {
+      return { success: false, error: 'Could not read the blanks from the response', history: { answer, error: 'Unparsable response' } };
+    }
+    return { success: true, values, answer, history: { answer } };
+  });
+}
+
+async function fillBlanks(solution) {
+  const inputs = getAnswerInputs();
+  solution.values.forEach((value, i) => {
+    if (value !== undefined && inputs[i]) setInputValue(inputs[i], value);
+  });
+}
+
+// The draggable items of the largest sortable list in the question, in their on-screen order
+function getOrderingItems() {
+  const region = document.querySelector(QUIZ_SELECTORS.article) || document.querySelector('main');
+  if (!region) return [];
+  const groups = new Map();
+  for (const el of region.querySelectorAll(QUIZ_SELECTORS.orderingItem)) {
+    // Drag handles inside an item match too; keep the outermost element
+    if (el.closest('#atomi-autosolver-panel') || el.parentElement?.closest(QUIZ_SELECTORS.orderingItem)) continue;
+    if (!groups.has(el.parentElement)) groups.set(el.parentElement, []);
+    groups.get(el.parentElement).push(el);
+  }
+  return [...groups.values()].sort((a, b) => b.length - a.length)[0] || [];
+}
+
+function orderingItemText(item) {
+  return extractStructuredText(item, { skip: el => el.tagName === 'BUTTON' });
+}
+
+function extractOrdering() {
+  const items = getOrderingItems();
+  if (items.length < 2) return { error: 'No items to order found' };
+  const list = items[0].parentElement;
+  const region = document.querySelector(QUIZ_SELECTORS.article) || document.querySelector('main');
+  const question = extractStructuredText(region, { skip: el => el === list || el.tagName === 'BUTTON' })
+    .replace(/Atomi Question\s*/i, '').trim();
+  const itemTexts = items.map(orderingItemText);
+  if (itemTexts.some(t => !t)) return { error: 'Could not read the items' };
+  return { question, items: itemTexts };
+}
+
+// Item numbers in the reply, completed with any the model left out so the order is a full permutation
+function parseOrder(content, count) {
+  const order = [];
+  for (const m of content.matchAll(/\b([1-9]\d?)\b/g)) {
+    const n = parseInt(m[1], 10);
+    if (n >= 1 && n <= count && !order.includes(n)) order.push(n);
+  }
+  if (order.length < Math.ceil(count / 2)) return null;
+  for (let n = 1; n <= count; n++) if (!order.includes(n)) order.push(n);
+  return order;
+}
+
+async function solveOrdering(config, { question, items }) {
+  return solveWithHistory(config, { type: 'ordering', question, options: items }, async () => {
+    const userContent = `Instructions:\n${question}\n\nItems:\n${formatAnswers(items)}\n\nReply with the item numbers (1-${items.length}) in the correct order, comma-separated:`;
+    const images = await buildImageParts(config, [{ label: 'Question image', images: getQuestionImages() }]);
+    const order = parseOrder(await askModel(config, settings.orderingPrompt, userContent, { images }), items.length);
+    if (!order) return { success: false, error: 'Could not read the order from the response', history: { error: 'Unparsable response' } };
+    return { success: true, order, history: { chosenIndex: order } };
+  });
+}
+
+function pressKey(el, key) {
+  const keyCodes = { ' ': 32, ArrowUp: 38, ArrowDown: 40 };
+  const init = { key, code: key === ' ' ? 'Space' : key, keyCode: keyCodes[key], which: keyCodes[key], bubbles: true, cancelable: true };
+  el.dispatchEvent(new KeyboardEvent('keydown', init));
+  el.dispatchEvent(new KeyboardEvent('keyup', init));
+}
+
+// Moves an item by delta places: "Move up/down" buttons when present, else the keyboard
+// lift/move/drop that accessible drag-and-drop lists support
+async function moveOrderingItem(item, delta) {
+  // Anchored and on the accessible name only, so "Upload" or "Dropdown" buttons never match
+  const label = delta < 0 ? /^(move )?up\b/i : /^(move )?down\b/i;
+  const moveBtn = Array.from(item.querySelectorAll('button'))
+    .find(b => label.test((b.getAttribute('aria-label') || b.title || '').trim()));
+  if (moveBtn) {
+    for (let i = 0; i < Math.abs(delta); i++) {
+      moveBtn.click();
+      await waitFor(150);
+    }
+    return;
+  }
+  const handle = item.querySelector('[data-rbd-drag-handle-draggable-id], [data-rfd-drag-handle-draggable-id]') || item;
+  handle.focus?.();
+  pressKey(handle, ' ');
+  await waitFor(150);
+  for (let i = 0; i < Math.abs(delta); i++) {
+    pressKey(handle, delta < 0 ? 'ArrowUp' : 'ArrowDown');
+    await waitFor(150);
+  }
+  pressKey(handle, ' ');
+  await waitFor(300);
+}
+
+// Places the items one slot at a time, re-reading the list after each move
+async function fillOrdering(solution, { items }) {
+  for (let target = 0; target < solution.order.length; target++) {
+    const wanted = items[solution.order[target] - 1];
+    const current = getOrderingItems();
+    const from = current.findIndex(el => orderingItemText(el) === wanted);
+    if (from < 0 || from === target) continue;
+    await moveOrderingItem(current[from], target - from);
+  }
+}
+
+async function submitCheckAnswer() {
+  const checkBtn = await waitForCheckAnswerEnabled(settings.checkAnswerTimeoutMs);
+  if (!checkBtn) return false;
+  feedbackBeforeSubmit = new Map(feedbackMessages().map(m => [m.el, m.text]));
+  checkBtn.click();
+  return true;
+}
+
+async function recordInputOutcome(solution) {
+  await updateHistoryOutcome(solution.historyId, readFeedbackOutcome());
+}
+
+/*
+ * Question-type handlers. Each one owns a format end to end:
+ *   detect()                       – is this format on the page now?
+ *   extract()                      – read the question; returns data or { error }
+ *   solve(config, data, options)   – ask the model and record history; returns { success, ... }
+ *   fill(solution, data)           – put the answer on the page
+ *   submit()                       – click Check Answer; omitted when Run All must stop here
+ *   afterSubmit(solution, data)    – optional: learn from Atomi's feedback
+ *   describe(solution)             – status line after a successful solve
+ *   diagnose()                     – why detect() does or doesn't match, for Diagnose Page
+ *   review(solution, data)         – the answer as text, for review mode
+ *   fillReviewed(solution, status) – optional: in review mode fill on Confirm instead of before the
+ *                                    review, from wherever the user edited it; resolves false if it can't
+ * detectQuestionHandler() returns the first match, so more specific formats register first.
+ */
+const QUESTION_HANDLERS = [];
+
+function registerQuestionHandler(handler) {
+  QUESTION_HANDLERS.push(handler);
+}
+
+function detectQuestionHandler() {
+  return QUESTION_HANDLERS.find(h => {
+    try {
+      return h.detect();
+    } catch (_) {
+      return false;
+    }
+  }) || null;
+}
+
+function getQuestionHandler(id) {
+  return QUESTION_HANDLERS.find(h => h.id === id) || null;
+}
+
+registerQuestionHandler({
+  id: 'working-out',
+  label: 'Working out',
+  detect: isWorkingOutPage,
+  extract: extractWorkingOut,
+  solve: solveWorkingOut,
+  // Each part's field in turn; a part the model left empty stays as it is
+  fill: async (solution, { question, parts }) => {
+    for (const [i, part] of solution.parts.entries()) {
+      if (!part.latex) continue;
+      if (part.label) setWorkingPartStatus(i, 'inserting…');
+      await setMathFieldValue(parts[i].mathField, part.latex);
+      if (part.label) setWorkingPartStatus(i, 'inserted');
+    }
+    lastWorkingOut = {
+      latex: solution.latex,
+      question,
+      historyId: solution.historyId,
+      url: location.href,
+      fields: parts.map(p => p.mathField),
+      pageQuestion: getWorkingOutQuestionText(),
+    };
+    renderSelfMark(null);
+    solution.filled = true;
+  },
+  // In review mode the working waits in the preview, where it can be edited, until Confirm inserts it
+  fillReviewed: async (solution, status) => {
+    solution.filled = await insertWorkingOut(status);
+    return solution.filled;
+  },
+  describe: (solution) => {
+    const state = solution.filled ? 'filled' : 'ready';
+    const filled = solution.parts.length > 1
+      ? `Working out ${state} (${solution.parts.filter(p => p.latex).length}/${solution.parts.length} parts)`
+      : `Working out ${state}`;
+    return solution.latexErrors?.length > 0 ? `${filled} – LaTeX may not render: ${solution.latexErrors.join('; ')}` : filled;
+  },
+  review: (solution) => solution.latex,
+  diagnose: () => {
+    if (!findInDocument(document, ANSWER_MATH_FIELD)) return 'no maths input (math-field)';
+    return getSelfMarkButton() ? 'maths input and Self-mark button found' : 'maths input found but no Self-mark button';
+  },
+});
+
+registerQuestionHandler({
+  id: 'ordering',
+  label: 'Ordering',
+  detect: () => !!QUIZ_SELECTORS.checkAnswerBtn(document) && getOrderingItems().length >= 2,
+  extract: extractOrdering,
+  solve: solveOrdering,
+  fill: fillOrdering,
+  submit: submitCheckAnswer,
+  afterSubmit: recordInputOutcome,
+  describe: (solution) => `Ordered items: ${solution.order.join(', ')}`,
+  review: (solution, { items }) => solution.order.map((n, i) => `${i + 1}. ${items[n - 1]}`).join('\n'),
+  diagnose: () => `${getOrderingItems().length} items match orderingItem (needs 2); ${checkAnswerNote()}`,
+});
+
+registerQuestionHandler({
+  id: 'multiple-choice',
+  label: 'Multiple choice',
+  detect: isQuizPage,
+  extract: extractMultipleChoice,
+  solve: solveMultipleChoice,
+  fill: (solution) => selectAnswers(getAnswerButtons(), solution.indices),
+  submit: submitCheckAnswer,
+  afterSubmit: recordMultipleChoiceFeedback,
+  describe: (solution) => `Selected ${describeChoice(solution.indices)}${describeConfidence(solution)}`,
+  review: (solution, { answers }) => solution.indices.map(i => `${i}. ${answers[i - 1]}`).join('\n'),
+  diagnose: diagnoseQuizPage,
+});
+
+registerQuestionHandler({
+  id: 'fill-blank',
+  label: 'Fill in the blank',
+  // The Check Answer button first: it is cheap, and the content script runs on every site
+  detect: () => {
+    if (!QUIZ_SELECTORS.checkAnswerBtn(document)) return false;
+    const inputs = getAnswerInputs();
+    return inputs.length > 0 && (inputs.length > 1 || isInlineBlank(inputs[0]));
+  },
+  extract: extractFillBlank,
+  solve: solveFillBlank,
+  fill: fillBlanks,
+  submit: submitCheckAnswer,
+  afterSubmit: recordInputOutcome,
+  describe: (solution) => `Filled ${solution.values.filter(v => v !== undefined).length}/${solution.values.length} blanks`,
+  review: (solution) => solution.answer,
+  diagnose: () => {
+    const inputs = getAnswerInputs();
+    return `${inputs.length} answer boxes, ${inputs.filter(isInlineBlank).length} inside the question text (needs 2 boxes, or 1 inside the text); ${checkAnswerNote()}`;
+  },
+});
+
+registerQuestionHandler({
+  id: 'short-answer',
+  label: 'Short answer',
+  detect: () => !!QUIZ_SELECTORS.checkAnswerBtn(document) && getAnswerInputs().length === 1,
+  extract: extractShortAnswer,
+  solve: solveShortAnswer,
+  fill: (solution) => setInputValue(getAnswerInputs()[0], solution.answer),
+  submit: submitCheckAnswer,
+  afterSubmit: recordInputOutcome,
+  describe: (solution) => `Entered "${solution.answer}"`,
+  review: (solution) => solution.answer,
+  diagnose: () => `${getAnswerInputs().length} answer boxes (needs exactly 1); ${checkAnswerNote()}`,
+});
+
+function checkAnswerNote() {
+  return QUIZ_SELECTORS.checkAnswerBtn(document) ? 'Check Answer button found' : 'no Check Answer button';
 }
 
-async function setMathFieldValue(mathField, latex) {
-  const id = mathField.id;
-  mathField.focus?.();
-  mathField.scrollIntoView?.({ block: 'center' });
+const DIAGNOSTIC_TEXT_LIMIT = 300;
 
-  if (id) setMathFieldValueInPage(id, latex);
-  dispatchPasteWithData(mathField, latex);
-  await new Promise(r => setTimeout(r, 80));
+function diagnosticText(text) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return flat.length > DIAGNOSTIC_TEXT_LIMIT ? `${flat.slice(0, DIAGNOSTIC_TEXT_LIMIT)}…` : flat;
+}
 
-  const opts = { insertionMode: 'replaceAll', format: 'latex' };
-  if (typeof mathField.setValue === 'function') {
-    mathField.setValue(latex, opts);
-  } else if (typeof mathField.insert === 'function') {
-    mathField.insert(latex, opts);
-  } else if (typeof mathField.executeCommand === 'function') {
-    mathField.executeCommand('selectAll');
-    mathField.executeCommand('insert', latex, { insertionMode: 'replaceSelection' });
+// Plain-text report of what each selector and detector sees, so a redesign can be fixed
+// from the options page without editing this file
+function diagnosePage() {
+  const lines = [`Atomi Auto Solver diagnostics – ${location.href}`, ''];
+  const overrides = Object.keys(storedSelectorProfile?.selectors || {});
+  if (isStaleSelectorProfile(storedSelectorProfile) && overrides.length) {
+    lines.push(`Selector profile v${SELECTOR_PROFILE_VERSION}: built-in (overrides saved for v${storedSelectorProfile.version} are not applied)`);
   } else {
-    forceSetValue(mathField, latex);
+    lines.push(`Selector profile v${SELECTOR_PROFILE_VERSION}: ${overrides.length ? `overrides for ${overrides.join(', ')}` : 'built-in'}`);
   }
 
-  try {
-    mathField.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText' }));
-    mathField.dispatchEvent(new Event('change', { bubbles: true }));
-  } catch (_) {}
-
-  await new Promise(r => setTimeout(r, 120));
-  if (typeof mathField.setValue === 'function') {
-    mathField.setValue(latex, opts);
-  } else {
-    forceSetValue(mathField, latex);
+  lines.push('', 'Selectors (matches):');
+  for (const def of SELECTOR_DEFINITIONS) {
+    const count = [...document.querySelectorAll(QUIZ_SELECTORS[def.key])].filter(el => !el.closest('#atomi-autosolver-panel')).length;
+    lines.push(`${count ? '✓' : '✗'} ${def.key} (${count}): ${QUIZ_SELECTORS[def.key]}`);
   }
-  mathField.dispatchEvent(new InputEvent('input', { bubbles: true }));
-}
-
-async function runWorkingOutAutofill(apiKey, statusCallback) {
-  const mathField = getMathField();
-  let question = getWorkingOutQuestionText();
 
-  if (!mathField) {
-    statusCallback?.('No math input found');
-    return { success: false, error: 'No math field found' };
-  }
-  if (!question) {
-    question = document.body?.innerText?.slice(0, 3000) || '';
-    if (!question) {
-      statusCallback?.('No question text found');
-      return { success: false, error: 'Could not extract question' };
+  lines.push('', 'Page types:');
+  for (const handler of QUESTION_HANDLERS) {
+    try {
+      lines.push(`${handler.detect() ? '✓' : '✗'} ${handler.label}: ${handler.diagnose()}`);
+    } catch (err) {
+      lines.push(`✗ ${handler.label}: failed – ${err.message}`);
     }
-    statusCallback?.('Using page text...');
   }
+  lines.push(`${isVideoPage() ? '✓' : '✗'} Video: ${diagnoseVideoPage()}`);
 
-  statusCallback?.('Solving working out...');
+  const handler = detectQuestionHandler();
+  lines.push('');
+  if (!handler) {
+    lines.push(isVideoPage() ? 'Detected: video page' : 'Detected: nothing – the panel only opens by itself on a detected page');
+    return lines.join('\n');
+  }
+  lines.push(`Detected: ${handler.label} (the first match above)`, '', 'Extracted:');
+  let extracted;
   try {
-    const { model } = await ext.storage.local.get('model');
-    const workingOut = await callGroqAPIForWorkingOut(apiKey, model || DEFAULT_MODEL, question);
-    if (!workingOut) {
-      statusCallback?.('Empty response from API');
-      return { success: false, error: 'Empty API response' };
-    }
-    await setMathFieldValue(mathField, workingOut);
-    statusCallback?.('Working out filled');
-    return { success: true };
+    extracted = handler.extract();
   } catch (err) {
-    statusCallback?.(`Error: ${err.message}`);
-    return { success: false, error: err.message };
+    extracted = { error: err.message };
+  }
+  if (extracted.error) {
+    lines.push(`Error: ${extracted.error}`);
+    return lines.join('\n');
   }
+  lines.push(`Question: ${diagnosticText(extracted.question)}`);
+  (extracted.answers || extracted.items || []).forEach((text, i) => lines.push(`${i + 1}. ${diagnosticText(text)}`));
+  if (extracted.parts?.length > 1) {
+    for (const part of extracted.parts) {
+      const marks = part.marks ? ` (${part.marks} mark${part.marks === 1 ? '' : 's'})` : '';
+      lines.push(`Part ${part.label}${marks}: ${diagnosticText(part.text) || '(no text found)'}`);
+    }
+  }
+  for (const [key, value] of Object.entries(extracted)) {
+    if (typeof value === 'number' || typeof value === 'boolean') lines.push(`${key}: ${value}`);
+  }
+  return lines.join('\n');
 }
 
-async function solveCurrentQuestion(apiKey) {
-  const question = getQuestionText();
-  const answers = getAnswers();
-  const buttons = getAnswerButtons();
+const SNAPSHOT_FORMAT_VERSION = 1;
 
-  if (!question || answers.length === 0 || buttons.length === 0) {
-    return { success: false, error: 'Could not extract question or answers' };
+// Emails, bearer and JWT tokens, API keys and other long random strings that could identify the
+// student or their session
+const SNAPSHOT_SECRET_PATTERNS = [
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]'],
+  [/\bBearer\s+[\w.~+/-]+=*/gi, 'Bearer [token]'],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[token]'],
+  [/\b(?=[\w-]*\d)(?=[\w-]*[a-z])[\w-]{32,}\b/gi, '[token]'],
+];
+
+// Scripts, embeds and hidden fields are dropped; so is our own panel
+const SNAPSHOT_REMOVED = 'script, noscript, object, embed, link, meta, base, template, input[type="hidden"], input[type="password"], #atomi-autosolver-panel';
+const SNAPSHOT_URL_ATTRIBUTES = new Set(['href', 'src', 'poster', 'action', 'formaction', 'data-src']);
+
+function scrubSecrets(text) {
+  return SNAPSHOT_SECRET_PATTERNS.reduce((t, [pattern, replacement]) => t.replace(pattern, replacement), String(text));
+}
+
+// Absolute, without the query string or fragment that signed URLs and sessions put tokens in
+function snapshotUrl(value) {
+  try {
+    const url = new URL(value, location.href);
+    if (url.protocol === 'data:') return value;
+    if (url.protocol !== 'http:' && url.protocol !== 'https:' && url.protocol !== 'file:') return '';
+    return scrubSecrets(`${url.origin}${url.pathname}`);
+  } catch (_) {
+    return '';
   }
+}
 
-  const { model } = await ext.storage.local.get('model');
-  const answerIndex = await callGroqAPI(apiKey, model || DEFAULT_MODEL, question, answers);
-  if (answerIndex === null || answerIndex < 1 || answerIndex > buttons.length) {
-    return { success: false, error: `Invalid API response (got ${answerIndex})` };
+// A copy of the question region with personal data, tokens and anything executable removed
+function sanitizedRegion(region) {
+  const clone = region.cloneNode(true);
+  clone.querySelectorAll(SNAPSHOT_REMOVED).forEach(el => el.remove());
+  for (const el of [clone, ...clone.querySelectorAll('*')]) {
+    for (const { name, value } of [...el.attributes]) {
+      if (/^on/i.test(name) || ['srcset', 'nonce', 'integrity'].includes(name)) el.removeAttribute(name);
+      else if (name === 'value' && el.tagName === 'INPUT') el.removeAttribute(name);
+      else if (SNAPSHOT_URL_ATTRIBUTES.has(name)) el.setAttribute(name, snapshotUrl(value));
+      else el.setAttribute(name, scrubSecrets(value));
+    }
+    if (el.tagName === 'TEXTAREA') el.textContent = '';
   }
+  const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) walker.currentNode.nodeValue = scrubSecrets(walker.currentNode.nodeValue);
+  if (clone.tagName !== 'BODY') return clone;
+  const wrapper = document.createElement('div');
+  wrapper.append(...clone.childNodes);
+  return wrapper;
+}
 
-  // Click the correct answer (1-based index from API)
-  const button = buttons[answerIndex - 1];
-  button.click();
-  return { success: true, index: answerIndex };
+// Rules from the page's own stylesheets, so the snapshot renders without the network
+function snapshotStyles() {
+  const rules = [];
+  for (const node of document.querySelectorAll('style, link[rel="stylesheet"]')) {
+    if (node.id === 'atomi-autosolver-style' || !node.sheet) continue;
+    try {
+      for (const rule of node.sheet.cssRules) rules.push(rule.cssText);
+    } catch (_) {
+      // Cross-origin stylesheets can't be read
+    }
+  }
+  return rules.join('\n');
 }
 
-function waitFor(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Page elements (e.g. the math field) are dropped; text is scrubbed like the page copy
+function snapshotData(value) {
+  return JSON.parse(JSON.stringify(value, (key, v) => {
+    if (v instanceof Element) return undefined;
+    return typeof v === 'string' ? scrubSecrets(v) : v;
+  }) ?? 'null');
 }
 
-async function waitForCheckAnswerEnabled(timeout = 5000) {
-  const start = Date.now();
-  while (Date.now() - start < timeout) {
-    const btn = QUIZ_SELECTORS.checkAnswerBtn(document);
-    if (btn && !btn.hasAttribute('aria-disabled')) return btn;
-    await waitFor(200);
+// One self-contained HTML file: the sanitised question region with the page's styles, and
+// the detection details as JSON in <script id="atomi-snapshot">
+function buildPageSnapshot() {
+  const handler = detectQuestionHandler();
+  let extracted = null;
+  if (handler) {
+    try {
+      extracted = handler.extract();
+    } catch (err) {
+      extracted = { error: err.message };
+    }
   }
-  return null;
+  const url = snapshotUrl(location.href);
+  const pageType = handler?.id || (isVideoPage() ? 'video' : null);
+  const data = {
+    format: 'atomi-autosolver-snapshot',
+    version: SNAPSHOT_FORMAT_VERSION,
+    capturedAt: new Date().toISOString(),
+    url,
+    title: scrubSecrets(document.title),
+    extensionVersion: ext.runtime.getManifest?.().version || null,
+    userAgent: navigator.userAgent,
+    selectorProfile: { version: SELECTOR_PROFILE_VERSION, stored: snapshotData(storedSelectorProfile) },
+    pageType,
+    extracted: snapshotData(extracted),
+    lastModelResponse: snapshotData(lastModelResponse),
+    diagnostics: scrubSecrets(diagnosePage().split(location.href).join(url)),
+  };
+
+  const region = document.querySelector(QUIZ_SELECTORS.article) || document.querySelector('main') || document.body;
+  const doc = document.implementation.createHTMLDocument(`Atomi snapshot – ${handler?.label || pageType || 'unrecognised page'}`);
+  const meta = doc.createElement('meta');
+  meta.setAttribute('charset', 'utf-8');
+  const style = doc.createElement('style');
+  style.textContent = snapshotStyles();
+  const json = doc.createElement('script');
+  json.type = 'application/json';
+  json.id = 'atomi-snapshot';
+  json.textContent = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  doc.head.prepend(meta);
+  doc.head.append(style, json);
+  doc.body.appendChild(doc.importNode(sanitizedRegion(region), true));
+  return { pageType, html: `<!DOCTYPE html>\n${doc.documentElement.outerHTML}` };
 }
 
-async function waitForNextButton(timeout = 5000) {
-  const start = Date.now();
-  while (Date.now() - start < timeout) {
-    const btn = QUIZ_SELECTORS.nextButton(document);
-    if (btn && !btn.disabled) return btn;
-    await waitFor(200);
-  }
-  return null;
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportStamp() {
+  return new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+}
+
+// Extract, solve and fill with the page's handler. Low-confidence answers are not filled
+// fill false leaves the answer for the caller, e.g. a review that fills it on Confirm
+async function solveCurrentQuestion(config, { handler = detectQuestionHandler(), fill = true, ...options } = {}) {
+  if (!handler) return { success: false, error: 'No supported question found' };
+  const extracted = handler.extract();
+  if (extracted.error) return { success: false, error: extracted.error, handler };
+  const solution = await handler.solve(config, extracted, options);
+  if (solution.success && fill) await handler.fill(solution, extracted);
+  return { ...solution, handler, extracted };
 }
 
-async function runSingleAutofill(apiKey, statusCallback) {
+async function runSingleAutofill(config, statusCallback, { handler = detectQuestionHandler() } = {}) {
+  const overBudget = await tokenBudgetProblem();
+  if (overBudget) {
+    statusCallback(`Stopped: ${overBudget}`);
+    return false;
+  }
   statusCallback('Solving...');
   try {
-    const result = await solveCurrentQuestion(apiKey);
+    const result = await solveCurrentQuestion(config, { handler, status: statusCallback });
     if (result.success) {
-      statusCallback(`Selected answer ${result.index}`);
+      statusCallback(result.handler.describe(result));
     } else {
       statusCallback(`Error: ${result.error}`);
     }
@@ -582,54 +2981,327 @@ async function runSingleAutofill(apiKey, statusCallback) {
   }
 }
 
-async function runAllQuestions(apiKey, statusCallback) {
-  if (isAutoRunning) return;
+// confidenceThreshold (0-1): below it, multiple-choice answers pause for a human decision
+// Resolves when the run ends to { completed, needsYou, message }; needsYou means a question was left for the user
+async function runAllQuestions(config, statusCallback, { confidenceThreshold = 0 } = {}) {
+  if (isAutoRunning) return { completed: false, message: 'Run All is already running' };
   isAutoRunning = true;
 
+  // Why the run ended; stays on screen instead of the usual 'Ready'
+  let stopMessage = null;
+  let completed = false;
+  let needsYou = false;
   const runLoop = async () => {
     try {
-      while (isAutoRunning && isQuizPage()) {
-        statusCallback('Solving current question...');
+      while (isAutoRunning) {
+        // Past the last question, e.g. on a results screen
+        const handler = detectQuestionHandler();
+        if (!handler) {
+          completed = true;
+          break;
+        }
+        const overBudget = await tokenBudgetProblem();
+        if (overBudget) {
+          stopMessage = `Stopped: ${overBudget}`;
+          break;
+        }
+        statusCallback(`Solving current question (${handler.label.toLowerCase()})...`);
+        const responseBefore = lastModelResponse;
         let solved;
+        let skipped = false;
         try {
-          solved = await solveCurrentQuestion(apiKey);
+          // Handlers with fillReviewed are reviewed before anything goes into the page
+          const fillFirst = !(reviewModeEnabled && handler.fillReviewed);
+          solved = await solveCurrentQuestion(config, {
+            handler, minConfidence: confidenceThreshold, status: statusCallback, unattended: fillFirst, fill: fillFirst,
+          });
         } catch (err) {
-          statusCallback(`Error: ${err.message}`);
+          stopMessage = err.category === 'budget' ? `Stopped: ${err.message}` : `Error: ${err.message}`;
           break;
         }
-        if (!solved.success) {
-          statusCallback(`Stopped: ${solved.error}`);
+        if (solved.lowConfidence) {
+          statusCallback(`Paused: ${describeChoice(solved.indices)} is low confidence${describeConfidence(solved)}. Pick an answer or accept the suggestion.`);
+          const decision = await waitForHumanDecision();
+          clearSuggestedAnswer();
+          if (decision === 'stop' || !isAutoRunning) break;
+          if (decision === 'accept') await handler.fill(solved, solved.extracted);
+          else solved.indices = [];
+        } else if (solved.needsYou) {
+          stopMessage = solved.error;
+          needsYou = true;
+          break;
+        } else if (!solved.success) {
+          stopMessage = `Stopped: ${solved.error}`;
           break;
+        } else if (reviewModeEnabled) {
+          statusCallback(`Review: ${handler.describe(solved)} – ${handler.fillReviewed ? 'edit it in the preview, then Confirm' : 'Confirm, change it on the page,'} or Skip`);
+          const response = lastModelResponse !== responseBefore ? lastModelResponse : null;
+          const decision = await waitForReview(handler, solved, response);
+          if (decision === 'stop' || !isAutoRunning) break;
+          skipped = decision === 'skip';
+          if (!skipped && handler.fillReviewed && !(await handler.fillReviewed(solved, statusCallback))) {
+            stopMessage = 'Stopped: the working out could not be inserted';
+            break;
+          }
         }
 
-        await waitFor(500);
+        if (!handler.submit && !skipped) {
+          stopMessage = `${handler.describe(solved)} – finish this question yourself`;
+          needsYou = true;
+          break;
+        }
 
-        // Click Check Answer
-        const checkBtn = await waitForCheckAnswerEnabled();
-        if (checkBtn) {
-          checkBtn.click();
-          await waitFor(1200);
+        // Click Check Answer, then learn from the result
+        if (!skipped) {
+          await waitFor(settings.afterFillDelayMs);
+          if (await handler.submit()) {
+            await waitFor(settings.afterCheckDelayMs);
+            try {
+              await handler.afterSubmit?.(solved, solved.extracted);
+            } catch (_) {}
+          }
         }
 
         // Look for Next button (may appear after checking)
-        const nextBtn = await waitForNextButton(8000);
+        const nextBtn = await waitForNextButton(settings.nextButtonTimeoutMs);
         if (nextBtn) {
           statusCallback('Moving to next question...');
           nextBtn.click();
-          await waitFor(2000); // Wait for page/content to update
+          await waitFor(settings.afterNextDelayMs); // Wait for page/content to update
+        } else if (skipped) {
+          stopMessage = 'Skipped, but there is no Next button – finish this question yourself';
+          needsYou = true;
+          break;
         } else {
           // No Next button - might be last question or different flow
-          statusCallback('Quiz complete!');
+          stopMessage = 'Quiz complete!';
+          completed = true;
           break;
         }
       }
     } finally {
       isAutoRunning = false;
-      statusCallback('Ready');
+      resolveHumanDecision('stop');
+      statusCallback(stopMessage || 'Ready');
     }
+    return { completed, needsYou, message: stopMessage };
   };
 
-  runLoop();
+  return runLoop();
+}
+
+// The loop driving the run in this tab; a loop that finds itself replaced (Stop, then Start) quits
+let autopilotLoop = null;
+
+async function readAutopilot() {
+  const { [AUTOPILOT_KEY]: state } = await ext.storage.local.get(AUTOPILOT_KEY);
+  return state || null;
+}
+
+async function saveAutopilot(state) {
+  await ext.storage.local.set({ [AUTOPILOT_KEY]: state });
+  renderAutopilot(state);
+  return state;
+}
+
+function isAutopilotTab(state) {
+  try {
+    return !!state?.id && sessionStorage.getItem(AUTOPILOT_SESSION_KEY) === state.id;
+  } catch (_) {
+    return false;
+  }
+}
+
+function lessonPageTitle() {
+  const heading = [...document.querySelectorAll('h1')].find(el => !el.closest('#atomi-autosolver-panel'));
+  return (heading?.textContent || document.title || location.pathname).trim().slice(0, 120);
+}
+
+// Atomi renders lessons client-side; wait until there is something to work on or a way onward
+async function waitForLessonContent(timeout = AUTOPILOT_PAGE_TIMEOUT_MS) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    if (isSupportedPage() || document.querySelector(QUIZ_SELECTORS.paginationLink)) return;
+    await waitFor(300);
+  }
+}
+
+// False when the URL never changes. Client-side navigations can change it before the
+// content, so also give the old page's heading a while to go
+async function waitForNextPage(url, title) {
+  const start = Date.now();
+  while (location.href === url) {
+    if (Date.now() - start > AUTOPILOT_PAGE_TIMEOUT_MS * 2) return false;
+    await waitFor(300);
+  }
+  const changed = Date.now();
+  while (lessonPageTitle() === title && Date.now() - changed < AUTOPILOT_PAGE_TIMEOUT_MS) await waitFor(300);
+  return true;
+}
+
+// Resolves true once the video ends, false when the page never gives a playable video
+function watchVideoToEnd(statusCallback) {
+  return new Promise(resolve => setupVideoAutoAdvance(statusCallback, {
+    onEnd: () => resolve(true),
+    onMissing: () => resolve(false),
+  }));
+}
+
+// Handles the current page; resolves to { kind, outcome, detail } plus pause or stop when the run can't go on by itself
+async function runAutopilotPage(statusCallback) {
+  const handler = detectQuestionHandler();
+  if (!handler && isVideoPage()) {
+    statusCallback('Autopilot: watching video...');
+    if (!(await watchVideoToEnd(statusCallback))) {
+      return { kind: 'video', outcome: 'needs-you', detail: 'No playable video found – watch it yourself', pause: true };
+    }
+    return { kind: 'video', outcome: 'watched' };
+  }
+  if (!handler) return { kind: 'page', outcome: 'skipped', detail: 'Nothing to solve' };
+
+  const config = await getProviderConfig();
+  const problem = providerConfigError(config);
+  if (problem) return { kind: handler.id, outcome: 'stopped', detail: problem, stop: true };
+  const { confidenceThreshold } = await ext.storage.local.get('confidenceThreshold');
+  const run = await runAllQuestions(config, statusCallback, { confidenceThreshold: (Number(confidenceThreshold) || 0) / 100 });
+  if (run.completed) return { kind: 'quiz', outcome: 'completed' };
+  if (run.needsYou) return { kind: handler.id, outcome: 'needs-you', detail: run.message, pause: true };
+  return { kind: 'quiz', outcome: 'stopped', detail: run.message || 'Run All stopped', stop: true };
+}
+
+async function finishAutopilot(state, reason) {
+  autopilotLoop = null;
+  return saveAutopilot({ ...state, active: false, paused: null, endedAt: Date.now(), endReason: reason });
+}
+
+// Walks the lesson sequence: handle the page, record it, follow the pagination link, repeat.
+// A full page load ends this loop; the next page picks the run up again from storage
+async function runAutopilot(statusCallback) {
+  if (autopilotLoop) return;
+  const loop = {};
+  autopilotLoop = loop;
+  try {
+    while (autopilotLoop === loop) {
+      let state = await readAutopilot();
+      if (!state?.active || state.paused) break;
+      if (state.pages.length >= state.pageLimit) {
+        await finishAutopilot(state, `Page limit reached (${state.pageLimit} pages)`);
+        break;
+      }
+      await waitForLessonContent();
+      const url = location.href;
+      const title = lessonPageTitle();
+      const result = await runAutopilotPage(statusCallback);
+      if (autopilotLoop !== loop) break;
+
+      state = await readAutopilot();
+      if (!state?.active) break;
+      const page = { url, title, kind: result.kind, outcome: result.outcome, detail: result.detail || '', at: Date.now() };
+      if (result.pause) {
+        autopilotLoop = null;
+        await saveAutopilot({ ...state, paused: { ...page } });
+        statusCallback(`Autopilot paused: ${result.detail} – then click Resume Autopilot`);
+        break;
+      }
+      state = await saveAutopilot({ ...state, pages: [...state.pages, page] });
+      if (result.stop) {
+        await finishAutopilot(state, result.detail);
+        statusCallback(`Autopilot stopped: ${result.detail}`);
+        break;
+      }
+      if (!(await advanceAutopilot(state, statusCallback))) break;
+    }
+  } finally {
+    if (autopilotLoop === loop) autopilotLoop = null;
+  }
+}
+
+// Follows the lesson's pagination link; false when the sequence ends here
+async function advanceAutopilot(state, statusCallback) {
+  const next = getVideoNextButton();
+  if (!next) {
+    await finishAutopilot(state, 'Lesson sequence complete');
+    statusCallback('Autopilot: lesson sequence complete');
+    return false;
+  }
+  if (state.pages.length >= state.pageLimit) return true;
+  statusCallback('Autopilot: opening the next page...');
+  const url = location.href;
+  const title = lessonPageTitle();
+  clickNextLink(next);
+  if (!(await waitForNextPage(url, title))) {
+    await finishAutopilot(state, 'The next page did not open');
+    statusCallback('Autopilot stopped: the next page did not open');
+    return false;
+  }
+  await waitFor(settings.afterNextDelayMs);
+  return true;
+}
+
+async function startAutopilot(statusCallback) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  try { sessionStorage.setItem(AUTOPILOT_SESSION_KEY, id); } catch (_) {}
+  // Autopilot moves past videos itself; the separate auto-advance would race it
+  await ext.storage.local.set({ videoAutoAdvanceEnabled: false });
+  await saveAutopilot({ id, active: true, paused: null, startedAt: Date.now(), pageLimit: settings.autopilotPageLimit, pages: [] });
+  runAutopilot(statusCallback);
+}
+
+// After a pause the user has finished the question: carry on in the quiz, or record the page and move on
+async function resumeAutopilot(statusCallback) {
+  let state = await readAutopilot();
+  if (!state?.active) return;
+  try { sessionStorage.setItem(AUTOPILOT_SESSION_KEY, state.id); } catch (_) {}
+  const paused = state.paused;
+  state = await saveAutopilot({ ...state, paused: null });
+  if (paused) {
+    const nextQuestion = await waitForNextButton(1500);
+    if (nextQuestion) {
+      statusCallback('Autopilot: moving to the next question...');
+      nextQuestion.click();
+      await waitFor(settings.afterNextDelayMs);
+    } else {
+      state = await saveAutopilot({ ...state, pages: [...state.pages, { ...paused, outcome: 'finished-by-you', detail: '', at: Date.now() }] });
+      if (!(await advanceAutopilot(state, statusCallback))) return;
+    }
+  }
+  runAutopilot(statusCallback);
+}
+
+async function stopAutopilot() {
+  autopilotLoop = null;
+  const state = await readAutopilot();
+  if (state?.active) await finishAutopilot(state, 'Stopped by you');
+}
+
+const AUTOPILOT_OUTCOME_ICONS = { watched: '▶', completed: '✓', skipped: '→', 'finished-by-you': '✓', 'needs-you': '…', stopped: '✗' };
+
+function renderAutopilot(state) {
+  const btn = document.getElementById('atomi-autopilot');
+  const box = document.getElementById('atomi-autopilot-progress');
+  if (!btn || !box) return;
+  btn.textContent = !state?.active ? 'Start Autopilot' : state.paused ? 'Resume Autopilot' : 'Stop Autopilot';
+  box.textContent = '';
+  if (!state) {
+    box.style.display = 'none';
+    return;
+  }
+  const add = (cls, text) => {
+    const el = document.createElement('div');
+    el.className = cls;
+    el.textContent = text;
+    box.appendChild(el);
+  };
+  const summary = state.active
+    ? `${state.pages.length}/${state.pageLimit} pages${state.paused ? ' – paused' : ''}`
+    : `${state.pages.length} pages – ${state.endReason || 'ended'}`;
+  add('atomi-explanation-title', `Autopilot: ${summary}`);
+  const pages = state.paused ? [...state.pages, state.paused] : state.pages;
+  for (const page of pages.slice(-AUTOPILOT_PROGRESS_SHOWN)) {
+    add(page.outcome === 'stopped' ? 'atomi-explanation-other' : 'atomi-explanation-why',
+      `${AUTOPILOT_OUTCOME_ICONS[page.outcome] || '•'} ${page.title} – ${page.outcome.replace(/-/g, ' ')}${page.detail ? ` (${page.detail})` : ''}`);
+  }
+  box.style.display = 'block';
 }
 
 function createPanel() {
@@ -644,24 +3316,57 @@ function createPanel() {
     </div>
     <div class="atomi-panel-body">
       <div id="atomi-status" class="atomi-status">Ready</div>
+      <div id="atomi-question-type" class="atomi-question-type" style="display:none;"></div>
       <div id="atomi-api-warning" class="atomi-api-warning" style="display:none;">
-        <a href="#" id="atomi-set-api-link">Set your Groq API key</a>
+        <a href="#" id="atomi-set-api-link">Set your AI provider</a>
       </div>
       <div class="atomi-buttons">
         <button type="button" id="atomi-autofill" class="atomi-btn atomi-btn-primary">Autofill</button>
         <button type="button" id="atomi-runall" class="atomi-btn atomi-btn-secondary">Run All</button>
         <button type="button" id="atomi-stop" class="atomi-btn atomi-btn-stop">Stop</button>
+        <button type="button" id="atomi-study-toggle" class="atomi-btn atomi-btn-secondary">Study mode OFF</button>
+        <button type="button" id="atomi-review-toggle" class="atomi-btn atomi-btn-secondary">Review OFF</button>
+      </div>
+      <div id="atomi-decision-section" class="atomi-decision-section" style="display:none;">
+        <button type="button" id="atomi-accept" class="atomi-btn atomi-btn-primary">Accept</button>
+        <button type="button" id="atomi-continue" class="atomi-btn atomi-btn-secondary">Continue</button>
       </div>
+      <div id="atomi-review-section" style="display:none;">
+        <div id="atomi-review" class="atomi-explanation"></div>
+        <div class="atomi-decision-section">
+          <button type="button" id="atomi-review-confirm" class="atomi-btn atomi-btn-primary">Confirm</button>
+          <button type="button" id="atomi-review-skip" class="atomi-btn atomi-btn-secondary">Skip</button>
+        </div>
+      </div>
+      <div id="atomi-explanation" class="atomi-explanation" style="display:none;"></div>
+      <div id="atomi-self-mark-result" class="atomi-explanation" style="display:none;"></div>
       <div class="atomi-video-section" id="atomi-video-section" style="display:none;">
+        <div id="atomi-video-progress" class="atomi-video-progress" style="display:none;"></div>
         <button type="button" id="atomi-video-toggle" class="atomi-btn atomi-btn-secondary">Video: Auto-advance OFF</button>
+        <button type="button" id="atomi-study-notes" class="atomi-btn atomi-btn-primary">Make Study Notes</button>
+      </div>
+      <div class="atomi-autopilot-section">
+        <button type="button" id="atomi-autopilot" class="atomi-btn atomi-btn-secondary">Start Autopilot</button>
+        <div id="atomi-autopilot-progress" class="atomi-explanation" style="display:none;"></div>
       </div>
       <div class="atomi-working-out-section" id="atomi-working-out-section" style="display:none;">
-        <button type="button" id="atomi-working-out" class="atomi-btn atomi-btn-primary">Autofill Working Out</button>
+        <button type="button" id="atomi-working-out" class="atomi-btn atomi-btn-primary">Solve Working Out</button>
+        <div id="atomi-working-preview" class="atomi-working-preview" style="display:none;">
+          <div id="atomi-working-parts" class="atomi-working-preview"></div>
+          <button type="button" id="atomi-working-insert" class="atomi-btn atomi-btn-primary">Insert</button>
+        </div>
+        <button type="button" id="atomi-self-mark" class="atomi-btn atomi-btn-secondary">Self-mark &amp; Compare</button>
+      </div>
+      <div class="atomi-diagnose-section">
+        <button type="button" id="atomi-diagnose" class="atomi-btn atomi-btn-primary">Diagnose Page</button>
+        <button type="button" id="atomi-snapshot" class="atomi-btn atomi-btn-primary">Capture Snapshot</button>
+        <div id="atomi-diagnostics" class="atomi-explanation atomi-diagnostics" style="display:none;"></div>
       </div>
     </div>
   `;
 
   const style = document.createElement('style');
+  style.id = 'atomi-autosolver-style';
   style.textContent = `
     #atomi-autosolver-panel {
       position: fixed;
@@ -702,6 +3407,12 @@ function createPanel() {
       margin-bottom: 10px;
       min-height: 18px;
     }
+    .atomi-question-type {
+      font-size: 11px;
+      color: #7f8fa6;
+      margin: -6px 0 10px;
+    }
+    .atomi-video-progress { font-size: 11px; color: #7f8fa6; }
     .atomi-api-warning {
       font-size: 11px;
       color: #ff9f43;
@@ -712,7 +3423,10 @@ function createPanel() {
       text-decoration: underline;
     }
     .atomi-buttons { display: flex; gap: 8px; flex-wrap: wrap; }
-    .atomi-video-section, .atomi-working-out-section { margin-top: 10px; }
+    .atomi-video-section, .atomi-working-out-section, .atomi-autopilot-section, .atomi-diagnose-section { margin-top: 10px; }
+    .atomi-diagnose-section { display: flex; flex-wrap: wrap; gap: 8px; }
+    .atomi-video-section, .atomi-working-out-section { display: flex; flex-direction: column; gap: 8px; }
+    .atomi-decision-section { display: flex; gap: 8px; margin-top: 10px; }
     .atomi-btn {
       flex: 1;
       min-width: 80px;
@@ -730,6 +3444,59 @@ function createPanel() {
     .atomi-btn-stop { background: #dc3545; color: #fff; }
     .atomi-btn-stop:hover { background: #c82333; }
     .atomi-btn:disabled { opacity: 0.5; cursor: not-allowed; }
+    .atomi-explanation {
+      margin-top: 10px;
+      padding: 8px 10px;
+      max-height: 260px;
+      overflow-y: auto;
+      background: #16213e;
+      border-radius: 6px;
+      font-size: 12px;
+      line-height: 1.4;
+      color: #ddd;
+    }
+    .atomi-explanation-title { font-weight: 600; color: #fff; margin: 4px 0; }
+    .atomi-diagnostics {
+      flex-basis: 100%;
+      margin-top: 2px;
+      white-space: pre-wrap;
+      word-break: break-word;
+      font-family: ui-monospace, Menlo, Consolas, monospace;
+      font-size: 10px;
+    }
+    .atomi-explanation-why { margin-bottom: 6px; }
+    .atomi-explanation-other { color: #bbb; margin-bottom: 4px; }
+    .atomi-review-text { white-space: pre-wrap; margin-bottom: 6px; }
+    .atomi-working-preview { display: flex; flex-direction: column; gap: 6px; }
+    .atomi-working-part-head { font-size: 11px; color: #7f8fa6; }
+    .atomi-working-math {
+      display: block;
+      max-height: 160px;
+      overflow: auto;
+      padding: 4px 6px;
+      background: #fff;
+      color: #222;
+      border-radius: 6px;
+      font-size: 14px;
+      white-space: pre-wrap;
+    }
+    .atomi-working-latex {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 6px;
+      background: #16213e;
+      color: #ddd;
+      border: 1px solid #2a3a5e;
+      border-radius: 6px;
+      font-family: ui-monospace, Menlo, Consolas, monospace;
+      font-size: 11px;
+      resize: vertical;
+    }
+    .atomi-working-errors { font-size: 11px; color: #ff9f43; }
+    .atomi-suggested {
+      outline: 3px solid #22c55e !important;
+      outline-offset: 2px;
+    }
   `;
   document.head.appendChild(style);
   document.body.appendChild(panel);
@@ -737,17 +3504,43 @@ function createPanel() {
   return panel;
 }
 
-function showPanel() {
-  createPanel();
+function isSupportedPage() {
+  return !!detectQuestionHandler() || isVideoPage();
+}
+
+// Show the controls for whatever the page holds now; the question type can change without a reload
+function updatePanelSections() {
+  if (!panel) return;
+  const handler = detectQuestionHandler();
   const quizSection = panel.querySelector('.atomi-buttons');
+  const studyToggle = document.getElementById('atomi-study-toggle');
   const videoSection = document.getElementById('atomi-video-section');
   const workingOutSection = document.getElementById('atomi-working-out-section');
-  const onQuiz = isQuizPage();
-  const onVideo = isVideoPage();
-  const onWorkingOut = isWorkingOutPage();
-  if (quizSection) quizSection.style.display = onQuiz ? '' : 'none';
-  if (videoSection) videoSection.style.display = onVideo ? '' : 'none';
-  if (workingOutSection) workingOutSection.style.display = onWorkingOut ? '' : 'none';
+  const typeEl = document.getElementById('atomi-question-type');
+  if (quizSection) quizSection.style.display = handler && handler.id !== 'working-out' ? '' : 'none';
+  if (studyToggle) studyToggle.style.display = handler?.id === 'multiple-choice' ? '' : 'none';
+  if (videoSection) videoSection.style.display = isVideoPage() ? '' : 'none';
+  if (workingOutSection) workingOutSection.style.display = handler?.id === 'working-out' ? '' : 'none';
+  if (typeEl) {
+    const { keyword, profile } = detectProfile();
+    typeEl.textContent = handler ? `Question type: ${handler.label}${keyword ? ` · ${profile.name} profile` : ''}` : '';
+    typeEl.title = keyword ? `Subject profile "${profile.name}" matched "${keyword}"` : '';
+    typeEl.style.display = handler ? '' : 'none';
+  }
+}
+
+let panelRefreshTimer = 0;
+function schedulePanelRefresh() {
+  if (panelRefreshTimer) return;
+  panelRefreshTimer = setTimeout(() => {
+    panelRefreshTimer = 0;
+    if (panel && panel.style.display !== 'none') updatePanelSections();
+  }, 500);
+}
+
+function showPanel() {
+  createPanel();
+  updatePanelSections();
   panel.style.display = '';
 }
 
@@ -755,6 +3548,52 @@ function hidePanel() {
   if (panel) panel.style.display = 'none';
 }
 
+// Stop works without the panel: it only clears the run flag and any pending decision
+function stopAutoRun() {
+  isAutoRunning = false;
+  resolveHumanDecision('stop');
+  stopAutopilot();
+  const statusEl = document.getElementById('atomi-status');
+  if (statusEl) statusEl.textContent = 'Stopping...';
+}
+
+function togglePanel() {
+  if (!panel) {
+    showPanel();
+    setupPanelListeners();
+  } else if (panel.style.display === 'none') {
+    showPanel();
+  } else {
+    hidePanel();
+  }
+}
+
+const COMMAND_BUTTONS = {
+  autofill: 'atomi-autofill',
+  'run-all': 'atomi-runall',
+  'working-out': 'atomi-working-out',
+  'video-toggle': 'atomi-video-toggle',
+};
+
+// Shortcuts press the matching panel button, so they go through the same checks as a click
+function runPanelCommand(command) {
+  if (command === 'stop') return stopAutoRun();
+  if (command === 'toggle-panel') return togglePanel();
+  if (!COMMAND_BUTTONS[command]) return;
+  if (!panel) {
+    showPanel();
+    setupPanelListeners();
+  }
+  const btn = document.getElementById(COMMAND_BUTTONS[command]);
+  const section = btn?.closest('.atomi-buttons, .atomi-video-section, .atomi-working-out-section');
+  if (!btn || section?.style.display === 'none') {
+    const statusEl = document.getElementById('atomi-status');
+    if (statusEl) statusEl.textContent = 'That shortcut has no action on this page';
+    return;
+  }
+  if (!btn.disabled) btn.click();
+}
+
 function setupPanelListeners() {
   const closeBtn = document.getElementById('atomi-panel-close');
   const autofillBtn = document.getElementById('atomi-autofill');
@@ -768,20 +3607,26 @@ function setupPanelListeners() {
     if (statusEl) statusEl.textContent = msg;
   };
 
-  const checkApiKey = async () => {
-    const videoOnly = isVideoPage() && !isQuizPage() && !isWorkingOutPage();
-    const { apiKey } = await ext.storage.local.get('apiKey');
-    const hasKey = apiKey && apiKey.trim().length > 0;
-    if (apiWarning) apiWarning.style.display = (videoOnly || hasKey) ? 'none' : 'block';
-    return hasKey ? apiKey : null;
+  const checkProvider = async () => {
+    const videoOnly = isVideoPage() && !detectQuestionHandler();
+    const config = await getProviderConfig();
+    const problem = providerConfigError(config);
+    const setApiLink = document.getElementById('atomi-set-api-link');
+    if (setApiLink && problem) setApiLink.textContent = problem;
+    if (apiWarning) apiWarning.style.display = (videoOnly || !problem) ? 'none' : 'block';
+    return problem ? null : config;
   };
 
   if (autofillBtn) {
     autofillBtn.onclick = async () => {
-      const apiKey = await checkApiKey();
-      if (!apiKey) return;
+      const config = await checkProvider();
+      if (!config) return;
       autofillBtn.disabled = true;
-      await runSingleAutofill(apiKey, setStatus);
+      if (studyModeEnabled && detectQuestionHandler()?.id === 'multiple-choice') {
+        await runStudyExplain(config, setStatus);
+      } else {
+        await runSingleAutofill(config, setStatus);
+      }
       autofillBtn.disabled = false;
     };
   }
@@ -789,31 +3634,162 @@ function setupPanelListeners() {
   const stopBtn = document.getElementById('atomi-stop');
   if (runAllBtn) {
     runAllBtn.onclick = async () => {
-      const apiKey = await checkApiKey();
-      if (!apiKey) return;
+      if (studyModeEnabled) {
+        setStatus('Run All is off in Study mode');
+        return;
+      }
+      const config = await checkProvider();
+      if (!config) return;
+      const { confidenceThreshold } = await ext.storage.local.get('confidenceThreshold');
       runAllBtn.disabled = true;
-      await runAllQuestions(apiKey, setStatus);
+      await runAllQuestions(config, setStatus, { confidenceThreshold: (Number(confidenceThreshold) || 0) / 100 });
       runAllBtn.disabled = false;
     };
   }
-  if (stopBtn) {
-    stopBtn.onclick = () => {
-      isAutoRunning = false;
-      setStatus('Stopping...');
+  if (stopBtn) stopBtn.onclick = () => stopAutoRun();
+
+  const acceptBtn = document.getElementById('atomi-accept');
+  const continueBtn = document.getElementById('atomi-continue');
+  if (acceptBtn) acceptBtn.onclick = () => resolveHumanDecision('accept');
+  if (continueBtn) continueBtn.onclick = () => resolveHumanDecision('continue');
+
+  const reviewConfirmBtn = document.getElementById('atomi-review-confirm');
+  const reviewSkipBtn = document.getElementById('atomi-review-skip');
+  if (reviewConfirmBtn) reviewConfirmBtn.onclick = () => resolveHumanDecision('confirm');
+  if (reviewSkipBtn) reviewSkipBtn.onclick = () => resolveHumanDecision('skip');
+
+  const reviewToggleBtn = document.getElementById('atomi-review-toggle');
+  if (reviewToggleBtn) {
+    const renderReviewMode = () => {
+      reviewToggleBtn.textContent = `Review ${reviewModeEnabled ? 'ON' : 'OFF'}`;
+      reviewToggleBtn.classList.toggle('atomi-btn-primary', reviewModeEnabled);
+      reviewToggleBtn.classList.toggle('atomi-btn-secondary', !reviewModeEnabled);
     };
+    reviewToggleBtn.onclick = () => {
+      reviewModeEnabled = !reviewModeEnabled;
+      ext.storage.local.set({ reviewModeEnabled });
+      renderReviewMode();
+      setStatus(reviewModeEnabled ? 'Review mode: Run All waits for you before each Check Answer' : 'Ready');
+    };
+    ext.storage.local.get('reviewModeEnabled', (data) => {
+      reviewModeEnabled = !!data.reviewModeEnabled;
+      renderReviewMode();
+    });
+  }
+
+  const studyToggleBtn = document.getElementById('atomi-study-toggle');
+  if (studyToggleBtn) {
+    const renderStudyMode = () => {
+      studyToggleBtn.textContent = `Study mode ${studyModeEnabled ? 'ON' : 'OFF'}`;
+      studyToggleBtn.classList.toggle('atomi-btn-primary', studyModeEnabled);
+      studyToggleBtn.classList.toggle('atomi-btn-secondary', !studyModeEnabled);
+      if (autofillBtn) autofillBtn.textContent = studyModeEnabled ? 'Explain' : 'Autofill';
+      if (runAllBtn) runAllBtn.disabled = studyModeEnabled;
+      if (!studyModeEnabled) {
+        clearSuggestedAnswer();
+        renderExplanation(null);
+      }
+    };
+    studyToggleBtn.onclick = () => {
+      studyModeEnabled = !studyModeEnabled;
+      ext.storage.local.set({ studyModeEnabled });
+      renderStudyMode();
+      setStatus(studyModeEnabled ? 'Study mode: answers are explained, not clicked' : 'Ready');
+    };
+    ext.storage.local.get('studyModeEnabled', (data) => {
+      studyModeEnabled = !!data.studyModeEnabled;
+      renderStudyMode();
+    });
   }
 
   const workingOutBtn = document.getElementById('atomi-working-out');
   if (workingOutBtn) {
     workingOutBtn.onclick = async () => {
-      const apiKey = await checkApiKey();
-      if (!apiKey) return;
+      const config = await checkProvider();
+      if (!config) return;
       workingOutBtn.disabled = true;
-      await runWorkingOutAutofill(apiKey, setStatus);
+      await previewWorkingOut(config, setStatus);
       workingOutBtn.disabled = false;
     };
   }
 
+  const workingInsertBtn = document.getElementById('atomi-working-insert');
+  if (workingInsertBtn) {
+    workingInsertBtn.onclick = async () => {
+      workingInsertBtn.disabled = true;
+      await insertWorkingOut(setStatus);
+      workingInsertBtn.disabled = false;
+    };
+  }
+
+  const selfMarkBtn = document.getElementById('atomi-self-mark');
+  if (selfMarkBtn) {
+    selfMarkBtn.onclick = async () => {
+      const config = await checkProvider();
+      if (!config) return;
+      selfMarkBtn.disabled = true;
+      await runSelfMark(config, setStatus);
+      selfMarkBtn.disabled = false;
+    };
+  }
+
+  const studyNotesBtn = document.getElementById('atomi-study-notes');
+  if (studyNotesBtn) {
+    studyNotesBtn.onclick = async () => {
+      studyNotesBtn.disabled = true;
+      setStatus('Reading captions...');
+      await captureLessonNotes(findPageVideo(), setStatus, { force: true });
+      studyNotesBtn.disabled = false;
+    };
+  }
+
+  const autopilotBtn = document.getElementById('atomi-autopilot');
+  if (autopilotBtn) {
+    autopilotBtn.onclick = async () => {
+      const state = await readAutopilot();
+      if (state?.active && !state.paused) {
+        stopAutoRun();
+        return;
+      }
+      if (studyModeEnabled) {
+        setStatus('Autopilot is off in Study mode');
+        return;
+      }
+      if (state?.active) await resumeAutopilot(setStatus);
+      else await startAutopilot(setStatus);
+    };
+    readAutopilot().then(renderAutopilot);
+  }
+
+  const diagnoseBtn = document.getElementById('atomi-diagnose');
+  const diagnosticsEl = document.getElementById('atomi-diagnostics');
+  if (diagnoseBtn && diagnosticsEl) {
+    diagnoseBtn.onclick = async () => {
+      const report = diagnosePage();
+      diagnosticsEl.textContent = report;
+      diagnosticsEl.style.display = 'block';
+      try {
+        await navigator.clipboard.writeText(report);
+        setStatus('Diagnostics copied to the clipboard');
+      } catch (_) {
+        setStatus('Diagnostics shown below');
+      }
+    };
+  }
+
+  const snapshotBtn = document.getElementById('atomi-snapshot');
+  if (snapshotBtn) {
+    snapshotBtn.onclick = () => {
+      try {
+        const { pageType, html } = buildPageSnapshot();
+        downloadFile(`atomi-snapshot-${pageType || 'page'}-${exportStamp()}.html`, 'text/html', html);
+        setStatus('Snapshot saved – only the question area is included; check it before sharing');
+      } catch (err) {
+        setStatus(`Snapshot failed: ${err.message}`);
+      }
+    };
+  }
+
   const setApiLink = document.getElementById('atomi-set-api-link');
   if (setApiLink) {
     setApiLink.onclick = (e) => {
@@ -860,11 +3836,25 @@ function setupPanelListeners() {
     });
   }
 
-  checkApiKey();
+  checkProvider();
 }
 
-// Listen for manual trigger from popup
+// Messages from the popup (show the panel) and the background worker (retry notices, streamed text)
 ext.runtime.onMessage.addListener((msg) => {
+  if (msg.action === 'requestRetry') {
+    const statusEl = document.getElementById('atomi-status');
+    const reason = { 'rate-limited': 'Rate limited', server: 'Server error', network: 'Network error' }[msg.category] || 'Request failed';
+    if (statusEl) statusEl.textContent = `${reason} – retrying in ${Math.ceil(msg.delayMs / 1000)} s (${msg.attempt}/${msg.maxRetries})`;
+    return;
+  }
+  if (msg.action === 'chatCompletionText') {
+    completionStreams.get(msg.streamId)?.({ content: msg.content, reasoning: msg.reasoning });
+    return;
+  }
+  if (msg.action === 'command') {
+    runPanelCommand(msg.command);
+    return;
+  }
   if (msg.action === 'showPanel') {
     showPanel();
     setupPanelListeners();
@@ -872,6 +3862,18 @@ ext.runtime.onMessage.addListener((msg) => {
   }
 });
 
+// In-page keys on supported pages: Alt+Shift+P shows or hides the panel, Escape stops Run All
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && (isAutoRunning || autopilotLoop)) {
+    stopAutoRun();
+    return;
+  }
+  if (e.altKey && e.shiftKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyP' && (panel || isSupportedPage())) {
+    e.preventDefault();
+    togglePanel();
+  }
+}, true);
+
 let videoAdvanceCheckTimer = 0;
 let videoAdvanceDisableScheduled = false;
 function checkVideoAutoAdvanceDisable() {
@@ -906,23 +3908,46 @@ function checkVideoAutoAdvanceDisable() {
 function runInit() {
   if (!document.body) return;
   checkVideoAutoAdvanceDisable();
-  if (isQuizPage() || isVideoPage() || isWorkingOutPage()) {
+  if (isSupportedPage()) {
     showPanel();
     setupPanelListeners();
   }
 }
+// A run that was mid-sequence when the previous page unloaded carries on here
+async function continueAutopilot() {
+  const state = await readAutopilot();
+  if (!state?.active || state.paused || !isAutopilotTab(state)) return;
+  showPanel();
+  setupPanelListeners();
+  runAutopilot((msg) => {
+    const statusEl = document.getElementById('atomi-status');
+    if (statusEl) statusEl.textContent = msg;
+  });
+}
+
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => { runInit(); setTimeout(runInit, 1000); });
+  document.addEventListener('DOMContentLoaded', () => { runInit(); setTimeout(runInit, 1000); continueAutopilot(); });
 } else {
   runInit();
   setTimeout(runInit, 1000);
+  continueAutopilot();
 }
 
-// Re-check when page content might change (SPA navigation)
+// Re-check when page content might change (SPA navigation). Busy pages mutate constantly,
+// so the checks run at most every 200 ms
 if (document.body) {
+  let mutationTimer = 0;
   const observer = new MutationObserver(() => {
-    checkVideoAutoAdvanceDisable();
-    if ((isQuizPage() || isVideoPage() || isWorkingOutPage()) && !panel) runInit();
+    if (mutationTimer) return;
+    mutationTimer = setTimeout(() => {
+      mutationTimer = 0;
+      checkVideoAutoAdvanceDisable();
+      if (!panel) {
+        if (isSupportedPage()) runInit();
+      } else {
+        schedulePanelRefresh();
+      }
+    }, 200);
   });
   observer.observe(document.body, { childList: true, subtree: true });
 }
@@ -0,0 +1,293 @@
+const ext = typeof browser !== 'undefined' ? browser : chrome;
+
+const PROMPT_HINT = 'Placeholders: {{question}}, {{options}} (numbered list), {{optionCount}}, {{instruction}} (multi-select: how many numbers to reply with).';
+
+function fieldInput(key) {
+  return document.getElementById(`setting-${key}`);
+}
+
+function showFieldError(def, message) {
+  const input = fieldInput(def.key);
+  const error = document.getElementById(`error-${def.key}`);
+  input.classList.toggle('invalid', !!message);
+  error.textContent = message || '';
+  error.style.display = message ? 'block' : 'none';
+}
+
+function fieldValue(def) {
+  const input = fieldInput(def.key);
+  return def.type === 'boolean' ? input.checked : input.value;
+}
+
+function setFieldValue(def, value) {
+  if (def.type === 'boolean') fieldInput(def.key).checked = value;
+  else fieldInput(def.key).value = value;
+  showFieldError(def, null);
+}
+
+function renderForm() {
+  const form = document.getElementById('settingsForm');
+  let section = null;
+  for (const def of SETTING_DEFINITIONS) {
+    if (def.section !== section) {
+      section = def.section;
+      const heading = document.createElement('h2');
+      heading.textContent = section;
+      form.appendChild(heading);
+    }
+    const field = document.createElement('div');
+    field.className = 'field';
+    const head = document.createElement('div');
+    head.className = 'field-head';
+    const label = document.createElement('label');
+    label.htmlFor = `setting-${def.key}`;
+    const defaults = { number: ` (default ${def.default})`, boolean: ` (default ${def.default ? 'on' : 'off'})` };
+    label.textContent = `${def.label}${defaults[def.type] || ''}`;
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'link';
+    reset.textContent = 'Reset to default';
+    reset.onclick = () => setFieldValue(def, def.default);
+    head.append(label, reset);
+
+    const input = document.createElement(def.type === 'prompt' ? 'textarea' : 'input');
+    input.id = `setting-${def.key}`;
+    if (def.type === 'number') {
+      input.type = 'number';
+      input.min = def.min;
+      input.max = def.max;
+      input.step = def.step;
+    } else if (def.type === 'boolean') {
+      input.type = 'checkbox';
+      input.className = 'toggle';
+    } else {
+      input.rows = Math.min(14, def.default.split('\n').length + 2);
+      input.spellcheck = false;
+    }
+    input.oninput = () => showFieldError(def, settingError(def, fieldValue(def)));
+
+    const error = document.createElement('div');
+    error.className = 'error';
+    error.id = `error-${def.key}`;
+    error.style.display = 'none';
+    field.append(head, input, error);
+    if (def.type === 'prompt') {
+      const hint = document.createElement('p');
+      hint.className = 'hint';
+      hint.textContent = def.required ? `${PROMPT_HINT} Must include ${def.required.map(n => `{{${n}}}`).join(' and ')}.` : PROMPT_HINT;
+      field.appendChild(hint);
+    }
+    form.appendChild(field);
+  }
+}
+
+let profiles = [];
+
+function profileField(card, label, name, value, { textarea = false, placeholder = '' } = {}) {
+  const field = document.createElement('div');
+  field.className = 'field';
+  const labelEl = document.createElement('label');
+  labelEl.textContent = label;
+  const input = document.createElement(textarea ? 'textarea' : 'input');
+  input.name = name;
+  input.value = value;
+  input.placeholder = placeholder;
+  if (textarea) {
+    input.rows = 4;
+    input.spellcheck = false;
+  }
+  labelEl.appendChild(input);
+  field.appendChild(labelEl);
+  card.appendChild(field);
+  return field;
+}
+
+function renderProfiles() {
+  const list = document.getElementById('profileList');
+  list.innerHTML = '';
+  profiles.forEach((profile, i) => {
+    const isDefault = profile.id === DEFAULT_PROFILE_ID;
+    const card = document.createElement('div');
+    card.className = 'profile';
+    card.dataset.id = profile.id;
+
+    const row = document.createElement('div');
+    row.className = 'profile-row';
+    card.appendChild(row);
+    profileField(row, 'Name', 'name', profile.name);
+    if (!isDefault) profileField(row, 'Subject keywords (comma-separated)', 'keywords', profile.keywords, { placeholder: 'maths, mathematics, physics' });
+
+    const modelRow = document.createElement('div');
+    modelRow.className = 'profile-row';
+    card.appendChild(modelRow);
+    profileField(modelRow, 'Model', 'model', profile.model, { placeholder: "Provider's model" });
+    profileField(modelRow, 'Temperature', 'temperature', profile.temperature, { placeholder: 'From the options above' });
+    profileField(card, 'Multiple-choice system prompt', 'systemPrompt', profile.systemPrompt, { textarea: true, placeholder: 'Blank uses the multiple-choice system prompt above' });
+
+    const reasoning = document.createElement('label');
+    reasoning.className = 'checkbox';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.name = 'reasoning';
+    checkbox.checked = profile.reasoning;
+    reasoning.append(checkbox, 'Reason step by step before answering (slower, more tokens)');
+    card.appendChild(reasoning);
+
+    const error = document.createElement('div');
+    error.className = 'error';
+    error.style.display = 'none';
+    card.appendChild(error);
+
+    if (!isDefault) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'link';
+      remove.textContent = 'Delete profile';
+      remove.onclick = () => {
+        profiles = readProfiles().filter((_, j) => j !== i);
+        renderProfiles();
+      };
+      card.appendChild(remove);
+    }
+    list.appendChild(card);
+  });
+}
+
+function readProfiles() {
+  return [...document.querySelectorAll('#profileList .profile')].map(card => {
+    const value = name => card.querySelector(`[name="${name}"]`)?.value ?? '';
+    return {
+      id: card.dataset.id,
+      name: value('name').trim(),
+      keywords: value('keywords'),
+      model: value('model').trim(),
+      systemPrompt: value('systemPrompt'),
+      temperature: value('temperature').trim(),
+      reasoning: card.querySelector('[name="reasoning"]').checked,
+    };
+  });
+}
+
+// Marks each invalid profile card and returns how many there are
+function validateProfiles(list) {
+  const cards = document.querySelectorAll('#profileList .profile');
+  let invalid = 0;
+  list.forEach((profile, i) => {
+    const message = profileError(profile);
+    const error = cards[i].querySelector('.error');
+    error.textContent = message || '';
+    error.style.display = message ? 'block' : 'none';
+    if (message) invalid++;
+  });
+  return invalid;
+}
+
+document.getElementById('addProfile').onclick = () => {
+  profiles = [...readProfiles(), { ...DEFAULT_PROFILE, id: `profile-${Date.now()}`, name: 'New profile' }];
+  renderProfiles();
+};
+
+function showSelectors(selectors) {
+  const input = document.getElementById('selectorProfile');
+  input.value = JSON.stringify({ version: SELECTOR_PROFILE_VERSION, selectors }, null, 2);
+  showSelectorError(null);
+}
+
+function showSelectorError(message) {
+  const error = document.getElementById('selectorError');
+  document.getElementById('selectorProfile').classList.toggle('invalid', !!message);
+  error.textContent = message || '';
+  error.style.display = message ? 'block' : 'none';
+}
+
+// Overrides saved for older built-in selectors are not applied; show them so they can be copied back
+function showStaleSelectors(stored) {
+  const note = document.getElementById('selectorStale');
+  const stale = isStaleSelectorProfile(stored) && Object.keys(stored.selectors || {}).length > 0;
+  note.textContent = stale
+    ? `These overrides were saved for selector profile version ${stored.version} and are not applied, because the built-in selectors have changed (now version ${SELECTOR_PROFILE_VERSION}). Saving this page replaces them: ${JSON.stringify(stored.selectors)}`
+    : '';
+  note.style.display = stale ? 'block' : 'none';
+}
+
+// The overrides to store, or null after showing what is wrong with the JSON
+function readSelectorOverrides() {
+  let profile;
+  try {
+    profile = JSON.parse(document.getElementById('selectorProfile').value);
+  } catch (err) {
+    showSelectorError(`Invalid JSON: ${err.message}`);
+    return null;
+  }
+  const error = selectorProfileError(profile);
+  showSelectorError(error);
+  return error ? null : selectorOverrides(profile.selectors);
+}
+
+document.getElementById('selectorProfile').oninput = () => readSelectorOverrides();
+document.getElementById('resetSelectors').onclick = () => showSelectors(DEFAULT_SELECTORS);
+document.getElementById('selectorKeys').textContent =
+  SELECTOR_DEFINITIONS.map(def => `${def.key} – ${def.label}`).join(' · ');
+
+function setStatus(text, ok) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.className = ok ? 'ok' : 'fail';
+  if (ok) setTimeout(() => { status.textContent = ''; }, 2000);
+}
+
+// Only values that differ from the default are stored, so later default changes still apply
+async function save() {
+  const stored = {};
+  let invalid = 0;
+  for (const def of SETTING_DEFINITIONS) {
+    const raw = fieldValue(def);
+    const error = settingError(def, raw);
+    showFieldError(def, error);
+    if (error) {
+      invalid++;
+      continue;
+    }
+    const value = def.type === 'number' ? Number(raw) : raw;
+    if (value !== def.default) stored[def.key] = value;
+  }
+  const editedProfiles = readProfiles();
+  invalid += validateProfiles(editedProfiles);
+  const overrides = readSelectorOverrides();
+  if (!overrides) invalid++;
+  if (invalid > 0) {
+    setStatus(`Fix ${invalid} invalid field${invalid === 1 ? '' : 's'} before saving`, false);
+    return;
+  }
+  profiles = resolveProfiles(editedProfiles);
+  const selectorProfile = { version: SELECTOR_PROFILE_VERSION, selectors: overrides };
+  await ext.storage.local.set({ [SETTINGS_KEY]: stored, [PROFILES_KEY]: profiles, [SELECTORS_KEY]: selectorProfile });
+  showStaleSelectors(selectorProfile);
+  setStatus('Saved!', true);
+}
+
+document.getElementById('settingsForm').onsubmit = (e) => {
+  e.preventDefault();
+  save();
+};
+
+document.getElementById('resetAll').onclick = async () => {
+  if (!confirm('Reset every option on this page to its default? Subject profiles and selector overrides are deleted too.')) return;
+  for (const def of SETTING_DEFINITIONS) setFieldValue(def, def.default);
+  profiles = resolveProfiles();
+  renderProfiles();
+  showSelectors(DEFAULT_SELECTORS);
+  showStaleSelectors(null);
+  await ext.storage.local.remove([SETTINGS_KEY, PROFILES_KEY, SELECTORS_KEY]);
+  setStatus('All options reset to defaults', true);
+};
+
+renderForm();
+ext.storage.local.get([SETTINGS_KEY, PROFILES_KEY, SELECTORS_KEY], (data) => {
+  const settings = resolveSettings(data[SETTINGS_KEY]);
+  for (const def of SETTING_DEFINITIONS) setFieldValue(def, settings[def.key]);
+  profiles = resolveProfiles(data[PROFILES_KEY]);
+  renderProfiles();
+  showSelectors(resolveSelectors(data[SELECTORS_KEY]));
+  showStaleSelectors(data[SELECTORS_KEY]);
+});
@@ -1,42 +1,86 @@
 const ext = typeof browser !== 'undefined' ? browser : chrome;
-const GROQ_MODELS_URL = 'https://api.groq.com/openai/v1/models';
 
-// Exclude non-chat models (audio, safety, etc.)
-function isChatModel(id) {
-  const exclude = ['whisper', 'orpheus', 'prompt-guard', 'safeguard'];
-  const lower = (id || '').toLowerCase();
-  return !exclude.some(k => lower.includes(k));
+let savedProviders = {};
+let loadedModels = [];
+
+function providerSettings(stored, id) {
+  if (stored.providers?.[id]) return stored.providers[id];
+  return id === 'groq' ? { apiKey: stored.apiKey, model: stored.model } : {};
 }
 
-async function fetchModels(apiKey) {
-  const res = await fetch(GROQ_MODELS_URL, {
-    headers: { Authorization: `Bearer ${apiKey}` },
+// Config for whatever is currently in the form (may be unsaved)
+function formConfig() {
+  const id = document.getElementById('provider').value;
+  return resolveProviderConfig({
+    provider: id,
+    providers: {
+      [id]: {
+        baseUrl: document.getElementById('baseUrl').value,
+        apiKey: document.getElementById('apiKey').value,
+        model: document.getElementById('model').value || savedProviders[id]?.model,
+      },
+    },
   });
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err.error?.message || `API error: ${res.status}`);
+}
+
+function renderProviderFields(id) {
+  const def = PROVIDERS[id];
+  const saved = savedProviders[id] || {};
+  const baseUrl = document.getElementById('baseUrl');
+  const apiKey = document.getElementById('apiKey');
+  baseUrl.value = saved.baseUrl || '';
+  baseUrl.placeholder = def.baseUrl || 'http://localhost:8080/v1';
+  apiKey.value = saved.apiKey || '';
+  apiKey.placeholder = def.keyPlaceholder || '';
+  document.getElementById('apiKeyLabel').textContent = `${def.name} API Key${def.requiresKey ? '' : ' (optional)'}`;
+  const keyHint = document.getElementById('keyHint');
+  if (def.keyUrl) {
+    const link = document.getElementById('keyLink');
+    link.href = def.keyUrl;
+    link.textContent = new URL(def.keyUrl).hostname;
+    keyHint.style.display = 'block';
+  } else {
+    keyHint.style.display = 'none';
+  }
+}
+
+function selectedModelIsVision() {
+  const id = document.getElementById('model').value;
+  if (!id) return false;
+  return isVisionModel(loadedModels.find(m => m.id === id) || id);
+}
+
+function renderVisionHint() {
+  const hint = document.getElementById('visionHint');
+  if (!document.getElementById('model').value) {
+    hint.style.display = 'none';
+    return;
   }
-  const data = await res.json();
-  const models = (data.data || []).filter(m => isChatModel(m.id));
-  return models.sort((a, b) => (a.id || '').localeCompare(b.id || ''));
+  hint.textContent = selectedModelIsVision()
+    ? 'Vision model: question and answer images are sent with each request.'
+    : 'Text-only model: images are described by their alt text.';
+  hint.style.display = 'block';
 }
 
-async function loadModels() {
+async function loadModels(config) {
   const select = document.getElementById('model');
   const modelError = document.getElementById('modelError');
-  const { apiKey, model: savedModel } = await ext.storage.local.get(['apiKey', 'model']);
+  const savedModel = savedProviders[config.id]?.model;
+  const problem = providerConfigError(config);
 
-  if (!apiKey || !apiKey.trim()) {
-    select.innerHTML = '<option value="">Save API key to load models</option>';
+  if (problem) {
+    select.innerHTML = `<option value="">${problem} to load models</option>`;
     modelError.style.display = 'none';
     return;
   }
 
   select.innerHTML = '<option value="">Loading...</option>';
   modelError.style.display = 'none';
+  loadedModels = [];
 
   try {
-    const models = await fetchModels(apiKey);
+    const models = await fetchProviderModels(config);
+    loadedModels = models;
     select.innerHTML = '';
     if (models.length === 0) {
       select.innerHTML = '<option value="">No models found</option>';
@@ -45,7 +89,7 @@ async function loadModels() {
     for (const m of models) {
       const opt = document.createElement('option');
       opt.value = m.id;
-      opt.textContent = m.id;
+      opt.textContent = isVisionModel(m) ? `${m.id} (vision)` : m.id;
       select.appendChild(opt);
     }
     if (savedModel && models.some(m => m.id === savedModel)) {
@@ -53,13 +97,397 @@ async function loadModels() {
     } else {
       select.value = models[0]?.id || '';
     }
+    renderVisionHint();
   } catch (err) {
-    select.innerHTML = '<option value="llama-3.3-70b-versatile">llama-3.3-70b-versatile (default)</option>';
+    const fallback = savedModel || PROVIDERS[config.id].defaultModel;
+    select.innerHTML = '';
+    if (fallback) {
+      const opt = document.createElement('option');
+      opt.value = fallback;
+      opt.textContent = `${fallback} (default)`;
+      select.appendChild(opt);
+    }
     modelError.textContent = `Could not load models: ${err.message}`;
     modelError.style.display = 'block';
+    renderVisionHint();
+  }
+}
+
+// Hosts outside the manifest's host_permissions need a runtime grant
+async function requestHostPermission(baseUrl) {
+  if (!baseUrl || !ext.permissions?.request) return true;
+  try {
+    return await ext.permissions.request({ origins: [`${new URL(baseUrl).origin}/*`] });
+  } catch (_) {
+    return false;
+  }
+}
+
+async function renderCacheInfo() {
+  const { answerCache } = await ext.storage.local.get('answerCache');
+  const count = Object.values(answerCache || {}).filter(e => e.answers?.length || e.answer).length;
+  document.getElementById('cacheInfo').textContent = count > 0
+    ? `${count} learned answer${count === 1 ? '' : 's'} – reused on retakes without an API call.`
+    : 'No cached answers yet. Run All learns them from Check Answer.';
+}
+
+document.getElementById('clearCache').onclick = async () => {
+  await ext.storage.local.remove('answerCache');
+  renderCacheInfo();
+};
+
+renderCacheInfo();
+
+async function renderShortcuts() {
+  const commands = ext.commands?.getAll ? await ext.commands.getAll() : [];
+  statLines(document.getElementById('shortcutList'), commands.length > 0
+    ? commands.filter(c => c.description).map(c => `${c.description}: ${c.shortcut || 'not set'}`)
+    : ['Shortcuts are not available in this browser.']);
+}
+
+document.getElementById('editShortcuts').onclick = () => {
+  if (ext.commands?.openShortcutSettings) ext.commands.openShortcutSettings();
+  else ext.tabs.create({ url: 'chrome://extensions/shortcuts' });
+};
+
+renderShortcuts();
+
+document.getElementById('openOptions').onclick = () => ext.runtime.openOptionsPage();
+
+const HISTORY_CSV_COLUMNS = [
+  'timestamp', 'url', 'type', 'model', 'question', 'options', 'chosenIndex', 'answer', 'latex', 'selfMark',
+  'latencyMs', 'outcome', 'fromCache', 'confidence', 'modelConfidence', 'rationale', 'error',
+];
+
+let historyEntries = [];
+
+function historyOutcome(entry) {
+  if (entry.error) return 'error';
+  return entry.outcome || 'unknown';
+}
+
+function filteredHistory() {
+  const search = document.getElementById('historySearch').value.trim().toLowerCase();
+  const type = document.getElementById('historyType').value;
+  const outcome = document.getElementById('historyOutcome').value;
+  const model = document.getElementById('historyModel').value;
+  return historyEntries.filter(e =>
+    (!type || e.type === type) &&
+    (!outcome || historyOutcome(e) === outcome) &&
+    (!model || e.model === model) &&
+    (!search || (e.question || '').toLowerCase().includes(search)));
+}
+
+function renderHistoryStats(entries) {
+  const byModel = {};
+  for (const e of entries) {
+    const m = byModel[e.model || 'unknown'] ||= { solves: 0, correct: 0, checked: 0, latency: 0 };
+    m.solves++;
+    m.latency += e.latencyMs || 0;
+    if (e.outcome) m.checked++;
+    if (e.outcome === 'correct') m.correct++;
+  }
+  const stats = document.getElementById('historyStats');
+  stats.textContent = '';
+  for (const [model, m] of Object.entries(byModel)) {
+    const line = document.createElement('div');
+    const accuracy = m.checked > 0 ? `, ${m.correct}/${m.checked} correct` : '';
+    line.textContent = `${model}: ${m.solves} solve${m.solves === 1 ? '' : 's'}${accuracy}, avg ${Math.round(m.latency / m.solves)} ms`;
+    stats.appendChild(line);
+  }
+}
+
+function renderHistory() {
+  const entries = filteredHistory();
+  const list = document.getElementById('historyList');
+  list.textContent = '';
+  renderHistoryStats(entries);
+  if (entries.length === 0) {
+    list.innerHTML = '<p class="hint">No solves recorded yet.</p>';
+    return;
+  }
+  for (const e of entries.slice().reverse()) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const when = document.createElement('span');
+    when.textContent = `${new Date(e.timestamp).toLocaleString()} · ${e.type}`;
+    const outcome = document.createElement('span');
+    outcome.className = `outcome-${historyOutcome(e)}`;
+    outcome.textContent = historyOutcome(e);
+    meta.append(when, outcome);
+    const question = document.createElement('div');
+    question.className = 'history-question';
+    question.textContent = (e.question || '').slice(0, 140);
+    const detail = document.createElement('div');
+    detail.className = 'hint';
+    detail.style.marginTop = '0';
+    const answer = e.error ? e.error : e.latex ? e.latex.slice(0, 80) : e.answer ? e.answer.slice(0, 80) : `Answer ${e.chosenIndex ?? '?'}`;
+    detail.textContent = `${answer} · ${e.model || 'unknown'} · ${e.latencyMs ?? '?'} ms${e.fromCache ? ' · cache' : ''}${e.selfMark ? ` · self-mark ${e.selfMark}` : ''}`;
+    item.append(meta, question, detail);
+    list.appendChild(item);
+  }
+}
+
+async function loadHistory() {
+  const { solveHistory } = await ext.storage.local.get('solveHistory');
+  historyEntries = solveHistory || [];
+  const modelSelect = document.getElementById('historyModel');
+  const current = modelSelect.value;
+  modelSelect.innerHTML = '<option value="">All models</option>';
+  for (const model of [...new Set(historyEntries.map(e => e.model).filter(Boolean))].sort()) {
+    const opt = document.createElement('option');
+    opt.value = model;
+    opt.textContent = model;
+    modelSelect.appendChild(opt);
+  }
+  modelSelect.value = current;
+  renderHistory();
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(' | ') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportStamp() {
+  return new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+}
+
+document.getElementById('exportCsv').onclick = () => {
+  const rows = filteredHistory().map(e => HISTORY_CSV_COLUMNS.map(c => csvCell(e[c])).join(','));
+  const csv = [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  downloadFile(`atomi-history-${exportStamp()}.csv`, 'text/csv', csv);
+};
+
+document.getElementById('exportJson').onclick = () => {
+  downloadFile(`atomi-history-${exportStamp()}.json`, 'application/json', JSON.stringify(filteredHistory(), null, 2));
+};
+
+document.getElementById('clearHistory').onclick = async () => {
+  if (!confirm('Delete all recorded solves?')) return;
+  await ext.storage.local.remove('solveHistory');
+  loadHistory();
+};
+
+for (const id of ['historyType', 'historyOutcome', 'historyModel']) {
+  document.getElementById(id).onchange = renderHistory;
+}
+document.getElementById('historySearch').oninput = renderHistory;
+
+function sumUsage(models) {
+  const total = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  for (const m of Object.values(models || {})) {
+    for (const key of Object.keys(total)) total[key] += m[key] || 0;
+  }
+  return total;
+}
+
+function describeUsage(counts) {
+  return `${counts.requests} request${counts.requests === 1 ? '' : 's'}, ${counts.totalTokens.toLocaleString()} tokens`;
+}
+
+function statLines(el, lines) {
+  el.textContent = '';
+  for (const text of lines) {
+    const line = document.createElement('div');
+    line.textContent = text;
+    el.appendChild(line);
+  }
+}
+
+async function loadUsage() {
+  const { [USAGE_KEY]: usage, [TOKEN_BUDGET_KEY]: budget } = await ext.storage.local.get([USAGE_KEY, TOKEN_BUDGET_KEY]);
+  const days = usage?.days || {};
+  const today = days[usageDayKey()] || {};
+  const total = sumUsage(today);
+  document.getElementById('usageToday').textContent = `Today: ${describeUsage(total)}`;
+
+  const limit = Number(budget) || 0;
+  const bar = document.getElementById('usageBudget');
+  const budgetText = document.getElementById('usageBudgetText');
+  bar.style.display = limit > 0 ? '' : 'none';
+  if (limit > 0) {
+    const share = Math.min(1, total.totalTokens / limit);
+    document.getElementById('usageBudgetBar').style.width = `${Math.round(share * 100)}%`;
+    bar.classList.toggle('over', share >= 1);
+    budgetText.textContent = share >= 1
+      ? `Daily budget of ${limit.toLocaleString()} tokens reached – solving is paused until tomorrow.`
+      : `${(limit - total.totalTokens).toLocaleString()} of ${limit.toLocaleString()} budget tokens left today.`;
+  } else {
+    budgetText.textContent = 'No daily token budget set (see Settings).';
+  }
+
+  statLines(document.getElementById('usageModels'), Object.keys(today).length > 0
+    ? Object.entries(today).map(([model, m]) =>
+      `${model}: ${describeUsage(m)} (${m.promptTokens.toLocaleString()} in / ${m.completionTokens.toLocaleString()} out)`)
+    : ['No requests yet today.']);
+
+  const recent = Object.keys(days).sort().slice(-7).reverse();
+  statLines(document.getElementById('usageDays'), recent.length > 0
+    ? recent.map(day => `${day}: ${describeUsage(sumUsage(days[day]))}`)
+    : ['No usage recorded yet.']);
+
+  const quota = Object.values(usage?.quota || {});
+  statLines(document.getElementById('usageQuota'), quota.length > 0
+    ? quota.map(q => {
+      const parts = [];
+      if (q.remainingRequests !== undefined) {
+        parts.push(`${q.remainingRequests.toLocaleString()}${q.limitRequests ? `/${q.limitRequests.toLocaleString()}` : ''} requests left${q.resetRequests ? ` (resets in ${q.resetRequests})` : ''}`);
+      }
+      if (q.remainingTokens !== undefined) {
+        parts.push(`${q.remainingTokens.toLocaleString()}${q.limitTokens ? `/${q.limitTokens.toLocaleString()}` : ''} tokens left${q.resetTokens ? ` (resets in ${q.resetTokens})` : ''}`);
+      }
+      return `${q.name}: ${parts.join(', ') || 'no quota headers'} · as of ${new Date(q.updatedAt).toLocaleTimeString()}`;
+    })
+    : ['Quota appears after the first request to a provider that reports it.']);
+}
+
+document.getElementById('resetUsage').onclick = async () => {
+  if (!confirm('Reset all token usage counters?')) return;
+  await ext.storage.local.remove(USAGE_KEY);
+  loadUsage();
+};
+
+let lessonNotes = [];
+
+function filteredNotes() {
+  const search = document.getElementById('notesSearch').value.trim().toLowerCase();
+  return lessonNotes.filter(n => !search ||
+    [n.title, n.notes, n.transcript].some(text => (text || '').toLowerCase().includes(search)));
+}
+
+function notesStatus(lesson) {
+  if (lesson.notes) return `Notes by ${lesson.notesModel || 'unknown model'}`;
+  if (lesson.notesError) return `No notes: ${lesson.notesError}`;
+  return 'Captions only';
+}
+
+function renderNotes() {
+  const entries = filteredNotes();
+  const list = document.getElementById('notesList');
+  list.textContent = '';
+  const withNotes = lessonNotes.filter(n => n.notes).length;
+  document.getElementById('notesStats').textContent = lessonNotes.length > 0
+    ? `${lessonNotes.length} lesson${lessonNotes.length === 1 ? '' : 's'} captured, ${withNotes} with study notes`
+    : '';
+  if (entries.length === 0) {
+    list.innerHTML = '<p class="hint">No lesson videos captured yet. Notes are made while videos play with auto-advance or Autopilot, or with Make Study Notes in the panel.</p>';
+    return;
+  }
+  for (const n of entries) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const when = document.createElement('span');
+    when.textContent = `${new Date(n.notesAt || n.capturedAt).toLocaleString()} · ${n.source || 'captions'}`;
+    meta.appendChild(when);
+    const title = document.createElement('a');
+    title.className = 'history-question';
+    title.style.display = 'block';
+    title.href = n.url;
+    title.target = '_blank';
+    title.textContent = n.title || n.url;
+    const detail = document.createElement('div');
+    detail.className = 'hint';
+    detail.style.marginTop = '0';
+    detail.textContent = `${notesStatus(n)} · ${(n.transcript || '').split(/\s+/).filter(Boolean).length} words of captions`;
+    item.append(meta, title, detail);
+
+    const text = document.createElement('div');
+    text.className = 'notes-text';
+    text.style.display = 'none';
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'notes-toggle';
+    toggle.textContent = n.notes ? 'Show notes' : 'Show captions';
+    toggle.onclick = () => {
+      const open = text.style.display === 'none';
+      text.textContent = n.notes || n.transcript || '';
+      text.style.display = open ? 'block' : 'none';
+      toggle.textContent = `${open ? 'Hide' : 'Show'} ${n.notes ? 'notes' : 'captions'}`;
+    };
+    item.append(toggle, text);
+    list.appendChild(item);
   }
 }
 
+async function loadNotes() {
+  const { lessonNotes: stored } = await ext.storage.local.get('lessonNotes');
+  lessonNotes = Object.values(stored || {}).sort((a, b) => (b.notesAt || b.capturedAt || 0) - (a.notesAt || a.capturedAt || 0));
+  renderNotes();
+}
+
+document.getElementById('exportNotesMd').onclick = () => {
+  const sections = filteredNotes().filter(n => n.notes).map(n =>
+    `## ${n.title || n.url}\n\n${n.url} · ${new Date(n.notesAt).toLocaleDateString()}\n\n${n.notes}`);
+  if (sections.length === 0) {
+    alert('No study notes to export yet.');
+    return;
+  }
+  downloadFile(`atomi-notes-${exportStamp()}.md`, 'text/markdown', `# Atomi study notes\n\n${sections.join('\n\n---\n\n')}\n`);
+};
+
+document.getElementById('exportNotesJson').onclick = () => {
+  downloadFile(`atomi-notes-${exportStamp()}.json`, 'application/json', JSON.stringify(filteredNotes(), null, 2));
+};
+
+document.getElementById('clearNotes').onclick = async () => {
+  if (!confirm('Delete all captured captions and study notes?')) return;
+  await ext.storage.local.remove('lessonNotes');
+  loadNotes();
+};
+
+document.getElementById('notesSearch').oninput = renderNotes;
+
+function showTab(name) {
+  document.getElementById('settingsView').style.display = name === 'settings' ? '' : 'none';
+  document.getElementById('historyView').style.display = name === 'history' ? '' : 'none';
+  document.getElementById('usageView').style.display = name === 'usage' ? '' : 'none';
+  document.getElementById('notesView').style.display = name === 'notes' ? '' : 'none';
+  document.getElementById('tabSettings').classList.toggle('active', name === 'settings');
+  document.getElementById('tabHistory').classList.toggle('active', name === 'history');
+  document.getElementById('tabUsage').classList.toggle('active', name === 'usage');
+  document.getElementById('tabNotes').classList.toggle('active', name === 'notes');
+  if (name === 'history') loadHistory();
+  if (name === 'usage') loadUsage();
+  if (name === 'notes') loadNotes();
+}
+
+document.getElementById('tabSettings').onclick = () => showTab('settings');
+document.getElementById('tabHistory').onclick = () => showTab('history');
+document.getElementById('tabUsage').onclick = () => showTab('usage');
+document.getElementById('tabNotes').onclick = () => showTab('notes');
+
+const providerSelect = document.getElementById('provider');
+for (const [id, def] of Object.entries(PROVIDERS)) {
+  const opt = document.createElement('option');
+  opt.value = id;
+  opt.textContent = def.name;
+  providerSelect.appendChild(opt);
+}
+
+document.getElementById('model').onchange = renderVisionHint;
+
+providerSelect.onchange = () => {
+  renderProviderFields(providerSelect.value);
+  loadModels(formConfig());
+};
+
 document.getElementById('showPanel').onclick = async () => {
   const [tab] = await ext.tabs.query({ active: true, currentWindow: true });
   if (tab?.id) {
@@ -77,21 +505,47 @@ document.getElementById('showPanel').onclick = async () => {
 };
 
 document.getElementById('save').onclick = async () => {
+  const provider = providerSelect.value;
+  const baseUrl = document.getElementById('baseUrl').value.trim();
+  const granted = await requestHostPermission(formConfig().baseUrl);
   const apiKey = document.getElementById('apiKey').value.trim();
   const model = document.getElementById('model').value;
-  await ext.storage.local.set({ apiKey, model });
-  document.getElementById('saved').style.display = 'block';
+  const vision = selectedModelIsVision();
+  savedProviders = { ...savedProviders, [provider]: { baseUrl, apiKey, model, vision } };
+  const ensemble = {
+    enabled: document.getElementById('ensembleEnabled').checked,
+    models: document.getElementById('ensembleModels').value.split(',').map(m => m.trim()).filter(Boolean),
+    samples: Math.max(1, Math.min(10, parseInt(document.getElementById('ensembleSamples').value, 10) || 1)),
+  };
+  const confidenceThreshold = Math.max(0, Math.min(100, Number(document.getElementById('confidenceThreshold').value) || 0));
+  const dailyTokenBudget = Math.max(0, parseInt(document.getElementById('dailyTokenBudget').value, 10) || 0);
+  await ext.storage.local.set({ provider, providers: savedProviders, ensemble, confidenceThreshold, [TOKEN_BUDGET_KEY]: dailyTokenBudget });
+  const saved = document.getElementById('saved');
+  saved.textContent = granted ? 'Saved!' : 'Saved, but access to that URL was not granted.';
+  saved.style.display = 'block';
   setTimeout(() => {
-    document.getElementById('saved').style.display = 'none';
+    saved.style.display = 'none';
   }, 2000);
 };
 
-ext.storage.local.get(['apiKey', 'model'], async ({ apiKey, model }) => {
-  if (apiKey) document.getElementById('apiKey').value = apiKey;
-  await loadModels();
+ext.storage.local.get([...PROVIDER_STORAGE_KEYS, 'ensemble', 'confidenceThreshold', TOKEN_BUDGET_KEY], async (stored) => {
+  const active = resolveProviderConfig(stored).id;
+  const ensemble = stored.ensemble || {};
+  document.getElementById('ensembleEnabled').checked = !!ensemble.enabled;
+  document.getElementById('ensembleModels').value = (ensemble.models || []).join(', ');
+  document.getElementById('ensembleSamples').value = ensemble.samples || 3;
+  document.getElementById('confidenceThreshold').value = stored.confidenceThreshold || 0;
+  document.getElementById('dailyTokenBudget').value = stored[TOKEN_BUDGET_KEY] || 0;
+  for (const id of Object.keys(PROVIDERS)) {
+    const settings = providerSettings(stored, id);
+    if (settings.apiKey || settings.baseUrl || settings.model) savedProviders[id] = settings;
+  }
+  providerSelect.value = active;
+  renderProviderFields(active);
+  await loadModels(formConfig());
 });
 
 document.getElementById('save').addEventListener('click', async () => {
   await new Promise(r => setTimeout(r, 300));
-  loadModels();
+  loadModels(formConfig());
 });
@@ -0,0 +1,306 @@
+/**
+ * Atomi Quiz Auto Solver - LLM Providers
+ * OpenAI-compatible backends shared by the popup, content script and background worker
+ */
+
+const DEFAULT_PROVIDER = 'groq';
+const PROVIDER_STORAGE_KEYS = ['provider', 'providers', 'apiKey', 'model'];
+
+const USAGE_KEY = 'usage';
+const TOKEN_BUDGET_KEY = 'dailyTokenBudget';
+const USAGE_DAYS = 30;
+
+// Every backend speaks the OpenAI chat completions API under its base URL.
+// structuredOutput is the strictest response_format it is asked for first: 'json_schema' or 'json_object'
+const PROVIDERS = {
+  groq: {
+    name: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    defaultModel: 'llama-3.3-70b-versatile',
+    requiresKey: true,
+    keyPlaceholder: 'gsk_...',
+    keyUrl: 'https://console.groq.com/keys',
+    structuredOutput: 'json_object',
+  },
+  openai: {
+    name: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    requiresKey: true,
+    keyPlaceholder: 'sk-...',
+    keyUrl: 'https://platform.openai.com/api-keys',
+    structuredOutput: 'json_schema',
+  },
+  openrouter: {
+    name: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    defaultModel: 'meta-llama/llama-3.3-70b-instruct',
+    requiresKey: true,
+    keyPlaceholder: 'sk-or-...',
+    keyUrl: 'https://openrouter.ai/keys',
+    structuredOutput: 'json_schema',
+  },
+  ollama: {
+    name: 'Ollama (local)',
+    baseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.1',
+    requiresKey: false,
+    keyPlaceholder: 'Not required',
+    structuredOutput: 'json_schema',
+  },
+  custom: {
+    name: 'Custom (OpenAI-compatible)',
+    baseUrl: '',
+    defaultModel: '',
+    requiresKey: false,
+    keyPlaceholder: 'Optional',
+    structuredOutput: 'json_object',
+  },
+};
+
+// Model id fragments of known image-input models, used when the API has no modality metadata
+const VISION_MODEL_PATTERNS = [
+  'vision', 'llava', 'llama-4', 'gpt-4o', 'gpt-4.1', 'gpt-5', 'gemini', 'claude',
+  'pixtral', '-vl', 'gemma3', 'minicpm-v', 'moondream',
+];
+
+// Exclude non-chat models (audio, safety, embeddings, etc.)
+function isChatModel(id) {
+  const exclude = ['whisper', 'orpheus', 'prompt-guard', 'safeguard', 'embed', 'tts', 'dall-e', 'moderation'];
+  const lower = (id || '').toLowerCase();
+  return !exclude.some(k => lower.includes(k));
+}
+
+// Accepts a model object from /models (OpenRouter lists input modalities) or a bare id
+function isVisionModel(model) {
+  const modalities = model?.architecture?.input_modalities;
+  if (Array.isArray(modalities)) return modalities.includes('image');
+  const id = (typeof model === 'string' ? model : model?.id || '').toLowerCase();
+  return VISION_MODEL_PATTERNS.some(p => id.includes(p));
+}
+
+// Build the active provider config from storage; legacy apiKey/model keys belong to Groq
+function resolveProviderConfig(stored = {}) {
+  const id = PROVIDERS[stored.provider] ? stored.provider : DEFAULT_PROVIDER;
+  const def = PROVIDERS[id];
+  const legacy = id === 'groq' ? { apiKey: stored.apiKey, model: stored.model } : {};
+  const saved = stored.providers?.[id] || legacy;
+  const model = saved.model || def.defaultModel;
+  return {
+    id,
+    name: def.name,
+    baseUrl: (saved.baseUrl || def.baseUrl || '').trim().replace(/\/+$/, ''),
+    apiKey: (saved.apiKey || '').trim(),
+    model,
+    vision: saved.vision ?? isVisionModel(model),
+    requiresKey: def.requiresKey,
+    structuredOutput: def.structuredOutput,
+  };
+}
+
+// Returns a user-facing problem with the config, or null when it is usable
+function providerConfigError(config) {
+  if (!config?.baseUrl) return `Set a base URL for ${config?.name || 'the provider'}`;
+  if (config.requiresKey && !config.apiKey) return `Set your ${config.name} API key`;
+  return null;
+}
+
+function providerHeaders(config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+  if (config.id === 'openrouter') headers['X-Title'] = 'Atomi Quiz Auto Solver';
+  return headers;
+}
+
+// What went wrong, in terms a caller can act on; 'rate-limited', 'server' and 'network' are worth retrying
+function providerErrorCategory(status, message = '') {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate-limited';
+  // A bare 404 is as likely a wrong base URL as a missing model
+  if (/model\b.*\b(not found|does not exist|decommissioned|not supported)|(unknown|invalid) model/i.test(message)) {
+    return 'model-not-found';
+  }
+  if (status === 408 || status >= 500) return 'server';
+  return 'request';
+}
+
+function providerError(config, category, detail, model) {
+  const summaries = {
+    auth: `${config.name} rejected the API key`,
+    'rate-limited': `${config.name} rate limit reached`,
+    'model-not-found': `Model "${model || config.model}" is not available on ${config.name}`,
+    network: `Could not reach ${config.name}`,
+    server: `${config.name} server error`,
+  };
+  const err = new Error(summaries[category] ? `${summaries[category]} (${detail})` : detail);
+  err.category = category;
+  return err;
+}
+
+// "1m30s", "2.5s", "120ms" (OpenAI/Groq reset headers) or bare seconds
+function parseDurationMs(value) {
+  if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value) * 1000;
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = null;
+  for (const m of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) total = (total || 0) + parseFloat(m[1]) * units[m[2]];
+  return total;
+}
+
+// How long the provider asked us to wait, from retry-after or, for a 429, the reset of whichever limit
+// is used up; null when unknown. Groq sends the reset headers on every response, and the requests
+// reset is often minutes away even when only a server error needs a retry
+function retryAfterMs(headers, status) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    if (/^\d+(\.\d+)?$/.test(retryAfter.trim())) return parseFloat(retryAfter) * 1000;
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+  if (headers.get('retry-after-ms')) return parseFloat(headers.get('retry-after-ms')) || null;
+  if (status !== 429) return null;
+  const exhausted = name => headers.get(name) !== null && Number(headers.get(name)) === 0;
+  const waits = [];
+  for (const limit of ['requests', 'tokens']) {
+    if (!exhausted(`x-ratelimit-remaining-${limit}`)) continue;
+    const value = headers.get(`x-ratelimit-reset-${limit}`);
+    const ms = value && parseDurationMs(value.trim());
+    if (ms !== null && ms !== undefined) waits.push(ms);
+  }
+  // OpenRouter sends an epoch timestamp in milliseconds
+  const reset = Number(headers.get('x-ratelimit-reset'));
+  if (exhausted('x-ratelimit-remaining')) {
+    if (reset > 1e12) waits.push(Math.max(0, reset - Date.now()));
+    else if (reset > 0) waits.push(reset * 1000);
+  }
+  return waits.length > 0 ? Math.max(...waits) : null;
+}
+
+// Remaining quota from the x-ratelimit-* headers; null when the provider sends none
+function readRateLimit(headers) {
+  const num = name => {
+    const value = headers.get(name);
+    return value === null || value === '' || isNaN(Number(value)) ? undefined : Number(value);
+  };
+  const info = {
+    limitRequests: num('x-ratelimit-limit-requests') ?? num('x-ratelimit-limit'),
+    remainingRequests: num('x-ratelimit-remaining-requests') ?? num('x-ratelimit-remaining'),
+    limitTokens: num('x-ratelimit-limit-tokens'),
+    remainingTokens: num('x-ratelimit-remaining-tokens'),
+    resetRequests: headers.get('x-ratelimit-reset-requests') || undefined,
+    resetTokens: headers.get('x-ratelimit-reset-tokens') || undefined,
+  };
+  return Object.values(info).some(v => v !== undefined) ? info : null;
+}
+
+// Local calendar day, so the budget resets at the user's midnight
+function usageDayKey(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function tokensUsedOn(usage, day = usageDayKey()) {
+  return Object.values(usage?.days?.[day] || {}).reduce((sum, m) => sum + (m.totalTokens || 0), 0);
+}
+
+// Returns a user-facing message once today's tokens reach the budget (0 or unset = no budget)
+function tokenBudgetError(usage, budget) {
+  const limit = Number(budget) || 0;
+  if (limit <= 0) return null;
+  const used = tokensUsedOn(usage);
+  return used >= limit ? `Daily token budget reached (${used.toLocaleString()} of ${limit.toLocaleString()} tokens)` : null;
+}
+
+async function readProviderError(res, config, model) {
+  const err = await res.json().catch(() => ({}));
+  const message = err.error?.message || err.message || `API error: ${res.status}`;
+  const error = providerError(config, providerErrorCategory(res.status, message), message, model);
+  error.status = res.status;
+  error.retryAfterMs = retryAfterMs(res.headers, res.status);
+  error.rateLimit = readRateLimit(res.headers);
+  return error;
+}
+
+async function fetchProvider(config, url, init, model) {
+  try {
+    return await fetch(url, init);
+  } catch (err) {
+    throw providerError(config, 'network', err.message, model);
+  }
+}
+
+async function fetchProviderModels(config) {
+  const res = await fetchProvider(config, `${config.baseUrl}/models`, { headers: providerHeaders(config) });
+  if (!res.ok) throw await readProviderError(res, config);
+  const data = await res.json();
+  const models = (data.data || data.models || []).filter(m => isChatModel(m.id));
+  return models.sort((a, b) => (a.id || '').localeCompare(b.id || ''));
+}
+
+// True when a 400's error message is about the stream or stream_options fields; reads a copy of the body
+async function rejectsStreaming(res) {
+  const text = await res.clone().text().catch(() => '');
+  return /\bstream(_options)?\b/i.test(text);
+}
+
+// Direct request; the background worker wraps this with its queue and retries.
+// Resolves to { data, rateLimit } so callers can track quota. With onText the reply is streamed:
+// onText gets the text so far after each chunk, and data has the same shape as an unstreamed reply
+async function fetchChatCompletion(config, body, onText) {
+  const model = body.model || config.model;
+  const send = (extra) => fetchProvider(config, `${config.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: providerHeaders(config),
+    body: JSON.stringify({ ...body, ...extra, model }),
+  }, model);
+  let res = await send(onText ? { stream: true, stream_options: { include_usage: true } } : {});
+  // Some OpenAI-compatible servers reject the streaming fields outright; ask once more without them.
+  // Any other 400 (context length, bad parameters) is reported as it is
+  if (onText && res.status === 400 && await rejectsStreaming(res)) res = await send({});
+  if (!res.ok) throw await readProviderError(res, config, model);
+  const rateLimit = readRateLimit(res.headers);
+  // Servers that ignore "stream" answer with plain JSON
+  if (!onText || !res.body || !/event-stream/i.test(res.headers.get('content-type') || '')) {
+    return { data: await res.json(), rateLimit };
+  }
+  return { data: await readCompletionStream(res, config, model, onText), rateLimit };
+}
+
+// Joins server-sent chat.completion.chunk events back into one chat completion
+async function readCompletionStream(res, config, model, onText) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  const reply = { model, content: '', reasoning: '', finishReason: null, usage: undefined };
+  let buffer = '';
+  const readEvent = (line) => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+    const chunk = JSON.parse(payload);
+    if (chunk.error) throw providerError(config, 'server', chunk.error.message || JSON.stringify(chunk.error), model);
+    const choice = chunk.choices?.[0];
+    reply.model = chunk.model || reply.model;
+    reply.content += choice?.delta?.content || '';
+    reply.reasoning += choice?.delta?.reasoning || choice?.delta?.reasoning_content || '';
+    reply.finishReason = choice?.finish_reason || reply.finishReason;
+    reply.usage = chunk.usage || chunk.x_groq?.usage || reply.usage;
+    if (choice?.delta) onText({ content: reply.content, reasoning: reply.reasoning });
+  };
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+      const lines = buffer.split(/\r?\n/);
+      buffer = done ? '' : lines.pop();
+      for (const line of lines) readEvent(line.trim());
+      if (done) break;
+    }
+  } catch (err) {
+    if (err.category) throw err;
+    throw providerError(config, err instanceof SyntaxError ? 'server' : 'network', `stream interrupted: ${err.message}`, model);
+  }
+  return {
+    model: reply.model,
+    choices: [{ index: 0, message: { role: 'assistant', content: reply.content, reasoning: reply.reasoning || undefined }, finish_reason: reply.finishReason }],
+    usage: reply.usage,
+  };
+}
@@ -0,0 +1,303 @@
+/**
+ * Atomi Quiz Auto Solver - Settings
+ * Behaviour settings edited on the options page and read live by the content script
+ */
+
+const SETTINGS_KEY = 'settings';
+
+// How question text is written when it reaches the model; the solving prompts all say so
+const FORMAT_NOTE = 'Maths is written as LaTeX between $ signs; tables and lists are Markdown.';
+
+const SYSTEM_PROMPT = `You solve quiz questions. You are given a question and possible answers numbered 1, 2, 3, etc.
+Respond with ONLY the number of the correct answer. Nothing else. No explanation. Just the digit.
+Example: if the 3rd answer is correct, respond with: 3
+${FORMAT_NOTE}`;
+
+const MULTI_SELECT_PROMPT = `You solve quiz questions where MORE THAN ONE answer can be correct. You are given a question and possible answers numbered 1, 2, 3, etc.
+Respond with ONLY the numbers of ALL correct answers, separated by commas. Nothing else. No explanation.
+Example: if the 1st and 3rd answers are correct, respond with: 1, 3
+${FORMAT_NOTE}`;
+
+const WORKING_OUT_PROMPT = `You solve maths/physics working-out questions. Output ONLY the raw working to put in the answer field.
+- Use LaTeX notation (e.g. \\frac{a}{b}, x^2, \\sqrt{x}, =, \\therefore)
+- Put each step on a new line: use \\\\ between steps, or use \\begin{align*}...\\\\...\\\\ \\end{align*}
+- Example format: y(t)=y_0+vt-\\frac{1}{2}gt^2 \\\\ y=y_0 \\Rightarrow t(v-\\frac{1}{2}gt)=0 \\\\ t=\\frac{2v}{g}
+- Include any required assumptions in one short line if needed (e.g. "Assume g=10")
+- No explanations, no "Step 1:", no preamble - just the maths and working
+- Output a single block that can be pasted directly into a math input field
+- In the question text: ${FORMAT_NOTE}`;
+
+const STUDY_NOTES_PROMPT = `You write concise revision notes for a high-school student from the transcript of a lesson video.
+Write Markdown: a one-paragraph summary, then the key ideas as bullet points with any definitions, formulas (LaTeX between $ signs) and worked-example steps, then 3-5 short self-test questions.
+Only use what the transcript says. Leave out greetings, filler and anything about the video itself.`;
+
+const STUDY_PROMPT = `You help a student revise quiz questions. You are given a question and possible answers numbered 1, 2, 3, etc.
+Reply in exactly this format and nothing else:
+ANSWER: <number of the correct answer>
+WHY: <one or two sentences explaining why that answer is correct>
+<number>: <one short sentence explaining why that option is wrong>
+Write one "<number>:" line for every other option.
+${FORMAT_NOTE}`;
+
+const SHORT_ANSWER_PROMPT = `You answer short-response quiz questions. Reply with ONLY the final answer to type into the answer box.
+No working, no explanation, no "Answer:" prefix. Include units only if the question asks for them.
+${FORMAT_NOTE}`;
+
+const FILL_BLANK_PROMPT = `You fill in the blanks of quiz questions. Blanks are marked [blank 1], [blank 2], etc.
+A blank followed by choices in braces, e.g. [blank 2 {red | green}], must be filled with one of those choices.
+Reply with one line per blank in the format "<number>: <answer>" and nothing else.
+Example: 1: mitochondria
+${FORMAT_NOTE}`;
+
+const ORDERING_PROMPT = `You put items in the correct order for quiz questions. You are given the instructions and items numbered 1, 2, 3, etc.
+Respond with ONLY the item numbers in the correct order, separated by commas. Nothing else.
+Example: 3, 1, 2
+${FORMAT_NOTE}`;
+
+const SELF_MARK_PROMPT = `You mark a student's working for a maths/physics question against the official marking criteria.
+You are given the question, the worked solution, the numbered criteria with the marks each is worth, and the student's working in LaTeX.
+Reply with one line per criterion in exactly this format and nothing else:
+<criterion number>: <marks awarded>/<marks available> – <one short sentence on what the working shows or misses>
+Be strict: only award a mark when the working clearly shows that step.`;
+
+const QUIZ_MESSAGE_TEMPLATE = `Question:
+{{question}}
+
+Possible answers:
+{{options}}
+
+Reply with only the number (1-{{optionCount}}):`;
+
+const MULTI_SELECT_MESSAGE_TEMPLATE = `Question:
+{{question}}
+
+Possible answers:
+{{options}}
+
+{{instruction}}`;
+
+const WORKING_OUT_MESSAGE_TEMPLATE = `Question:
+{{question}}
+
+Output only the raw working out (LaTeX, no explanation):`;
+
+const PROMPT_PLACEHOLDERS = ['question', 'options', 'optionCount', 'instruction'];
+
+// Drives both validation and the options page form; required lists placeholders a template must use
+const SETTING_DEFINITIONS = [
+  { key: 'afterFillDelayMs', section: 'Run All timings', label: 'Pause before Check Answer (ms)', type: 'number', min: 0, max: 10000, step: 100, default: 500 },
+  { key: 'afterCheckDelayMs', section: 'Run All timings', label: 'Pause after Check Answer before reading feedback (ms)', type: 'number', min: 0, max: 10000, step: 100, default: 1200 },
+  { key: 'afterNextDelayMs', section: 'Run All timings', label: 'Pause after Next for the page to update (ms)', type: 'number', min: 0, max: 20000, step: 100, default: 2000 },
+  { key: 'checkAnswerTimeoutMs', section: 'Run All timings', label: 'Wait for Check Answer to enable (ms)', type: 'number', min: 500, max: 60000, step: 500, default: 5000 },
+  { key: 'nextButtonTimeoutMs', section: 'Run All timings', label: 'Wait for the Next button (ms)', type: 'number', min: 500, max: 60000, step: 500, default: 8000 },
+  { key: 'reviewAutoConfirmSeconds', section: 'Run All timings', label: 'Review mode: confirm by itself after this many seconds (0 = wait for you)', type: 'number', min: 0, max: 600, step: 1, default: 0 },
+  { key: 'videoAdvanceSeconds', section: 'Video', label: 'Open the next page this many seconds before the end', type: 'number', min: 0, max: 600, step: 1, default: 10 },
+  { key: 'videoPlaybackRate', section: 'Video', label: 'Playback speed', type: 'number', min: 0.25, max: 16, step: 0.25, default: 2 },
+  { key: 'videoUnmute', section: 'Video', label: 'Play with sound (falls back to muted when the browser blocks autoplay with sound)', type: 'boolean', default: true },
+  { key: 'autopilotPageLimit', section: 'Autopilot', label: 'Stop after this many pages', type: 'number', min: 1, max: 500, step: 1, default: 20 },
+  { key: 'studyNotesEnabled', section: 'Study notes', label: 'Make study notes from the captions of videos that play with auto-advance or Autopilot', type: 'boolean', default: true },
+  { key: 'studyNotesMaxTokens', section: 'Study notes', label: 'Study notes max_tokens', type: 'number', min: 256, max: 32768, step: 1, default: 1500 },
+  { key: 'quizMaxTokens', section: 'Model requests', label: 'Quiz answer max_tokens', type: 'number', min: 16, max: 32768, step: 1, default: 256 },
+  { key: 'quizTemperature', section: 'Model requests', label: 'Quiz answer temperature', type: 'number', min: 0, max: 2, step: 0.1, default: 0 },
+  { key: 'structuredAnswers', section: 'Model requests', label: 'Ask for multiple-choice answers as JSON with a confidence and rationale (off: the bare option number)', type: 'boolean', default: true },
+  { key: 'workingOutMaxTokens', section: 'Model requests', label: 'Working out max_tokens', type: 'number', min: 64, max: 32768, step: 1, default: 2048 },
+  { key: 'workingOutTemperature', section: 'Model requests', label: 'Working out temperature', type: 'number', min: 0, max: 2, step: 0.1, default: 0.2 },
+  { key: 'streamWorkingOut', section: 'Model requests', label: 'Stream working out into the panel preview as it is written (turn off if your server rejects streaming)', type: 'boolean', default: true },
+  { key: 'latexMaxRepairs', section: 'Model requests', label: 'LaTeX repair attempts', type: 'number', min: 0, max: 5, step: 1, default: 2 },
+  { key: 'quizPrompt', section: 'Prompts', label: 'Multiple-choice system prompt', type: 'prompt', default: SYSTEM_PROMPT },
+  { key: 'quizMessage', section: 'Prompts', label: 'Multiple-choice question message', type: 'prompt', required: ['question', 'options'], default: QUIZ_MESSAGE_TEMPLATE },
+  { key: 'multiSelectPrompt', section: 'Prompts', label: 'Multi-select system prompt', type: 'prompt', default: MULTI_SELECT_PROMPT },
+  { key: 'multiSelectMessage', section: 'Prompts', label: 'Multi-select question message', type: 'prompt', required: ['question', 'options'], default: MULTI_SELECT_MESSAGE_TEMPLATE },
+  { key: 'studyPrompt', section: 'Prompts', label: 'Study mode system prompt (keep the ANSWER:/WHY: format)', type: 'prompt', default: STUDY_PROMPT },
+  { key: 'shortAnswerPrompt', section: 'Prompts', label: 'Short answer system prompt', type: 'prompt', default: SHORT_ANSWER_PROMPT },
+  { key: 'fillBlankPrompt', section: 'Prompts', label: 'Fill in the blank system prompt', type: 'prompt', default: FILL_BLANK_PROMPT },
+  { key: 'orderingPrompt', section: 'Prompts', label: 'Ordering system prompt', type: 'prompt', default: ORDERING_PROMPT },
+  { key: 'workingOutPrompt', section: 'Prompts', label: 'Working out system prompt', type: 'prompt', default: WORKING_OUT_PROMPT },
+  { key: 'workingOutMessage', section: 'Prompts', label: 'Working out question message', type: 'prompt', required: ['question'], default: WORKING_OUT_MESSAGE_TEMPLATE },
+  { key: 'selfMarkPrompt', section: 'Prompts', label: 'Self-mark system prompt', type: 'prompt', default: SELF_MARK_PROMPT },
+  { key: 'studyNotesPrompt', section: 'Prompts', label: 'Study notes system prompt', type: 'prompt', default: STUDY_NOTES_PROMPT },
+];
+
+const DEFAULT_SETTINGS = Object.fromEntries(SETTING_DEFINITIONS.map(d => [d.key, d.default]));
+
+// Returns a user-facing problem with one value, or null when it is valid
+function settingError(def, value) {
+  if (def.type === 'boolean') return typeof value === 'boolean' ? null : 'Must be on or off';
+  if (def.type === 'number') {
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(n)) return 'Enter a number';
+    if (n < def.min || n > def.max) return `Must be between ${def.min} and ${def.max}`;
+    return null;
+  }
+  const text = String(value ?? '');
+  if (!text.trim()) return 'Cannot be empty';
+  const used = [...text.matchAll(/\{\{\s*([^}]*?)\s*\}\}/g)].map(m => m[1]);
+  const unknown = used.filter(name => !PROMPT_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) return `Unknown placeholder ${unknown.map(n => `{{${n}}}`).join(', ')}`;
+  const missing = (def.required || []).filter(name => !used.includes(name));
+  if (missing.length > 0) return `Must include ${missing.map(n => `{{${n}}}`).join(' and ')}`;
+  return null;
+}
+
+// Stored values over the defaults; anything invalid falls back to its default
+function resolveSettings(stored = {}) {
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const def of SETTING_DEFINITIONS) {
+    const value = stored?.[def.key];
+    if (value === undefined || value === null || settingError(def, value)) continue;
+    settings[def.key] = def.type === 'number' ? Number(value) : value;
+  }
+  return settings;
+}
+
+// Replaces {{question}}, {{options}}, {{optionCount}} and {{instruction}} in a prompt template
+function fillTemplate(template, values) {
+  return template.replace(/\{\{\s*([^}]*?)\s*\}\}/g, (match, name) =>
+    (values[name] === undefined ? match : String(values[name])));
+}
+
+const PROFILES_KEY = 'subjectProfiles';
+const DEFAULT_PROFILE_ID = 'default';
+
+// Blank model, prompt or temperature means "use the provider's model / the options above"
+const DEFAULT_PROFILE = { id: DEFAULT_PROFILE_ID, name: 'Default', keywords: '', model: '', systemPrompt: '', temperature: '', reasoning: false };
+
+// The default profile always comes first and cannot be removed; it applies when no keywords match
+function resolveProfiles(stored) {
+  const list = Array.isArray(stored) ? stored : [];
+  const normalize = p => ({
+    ...DEFAULT_PROFILE,
+    ...p,
+    keywords: String(p.keywords ?? ''),
+    model: String(p.model ?? '').trim(),
+    systemPrompt: String(p.systemPrompt ?? ''),
+    temperature: p.temperature === '' || p.temperature === null || p.temperature === undefined ? '' : Number(p.temperature),
+    reasoning: !!p.reasoning,
+  });
+  const fallback = list.find(p => p?.id === DEFAULT_PROFILE_ID);
+  const others = list.filter(p => p && p.id !== DEFAULT_PROFILE_ID && p.name);
+  return [normalize({ ...fallback, id: DEFAULT_PROFILE_ID }), ...others.map(normalize)];
+}
+
+function profileKeywords(profile) {
+  return profile.keywords.split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+}
+
+// Returns a user-facing problem with the profile, or null when it can be saved
+function profileError(profile) {
+  if (!profile.name.trim()) return 'Give the profile a name';
+  if (profile.id !== DEFAULT_PROFILE_ID && profileKeywords(profile).length === 0) return 'Add at least one subject keyword';
+  if (profile.temperature !== '') {
+    const t = Number(profile.temperature);
+    if (!Number.isFinite(t) || t < 0 || t > 2) return 'Temperature must be between 0 and 2, or blank';
+  }
+  if (profile.systemPrompt.trim()) {
+    const error = settingError({ type: 'prompt' }, profile.systemPrompt);
+    if (error) return `System prompt: ${error}`;
+  }
+  return null;
+}
+
+// First profile with a keyword found as a whole word in the page's subject text, else the default
+function matchProfile(profiles, subjectText) {
+  const text = ` ${String(subjectText || '').toLowerCase().replace(/[^a-z0-9+#]+/g, ' ')} `;
+  for (const profile of profiles) {
+    if (profile.id === DEFAULT_PROFILE_ID) continue;
+    const keyword = profileKeywords(profile).find(k => text.includes(` ${k.replace(/[^a-z0-9+#]+/g, ' ').trim()} `));
+    if (keyword) return { profile, keyword };
+  }
+  return { profile: profiles.find(p => p.id === DEFAULT_PROFILE_ID) || DEFAULT_PROFILE, keyword: null };
+}
+
+// The provider config with the profile's model swapped in; the profile rides along for prompts and temperature
+function applyProfile(config, profile) {
+  if (!profile) return config;
+  const model = profile.model || config.model;
+  return {
+    ...config,
+    model,
+    vision: model === config.model ? config.vision : isVisionModel(model),
+    profile: {
+      name: profile.name,
+      systemPrompt: profile.systemPrompt.trim(),
+      temperature: profile.temperature === '' ? undefined : profile.temperature,
+      reasoning: profile.reasoning,
+    },
+  };
+}
+
+const SELECTORS_KEY = 'selectorProfile';
+
+// Bump when the built-in selectors change; overrides saved for an older version are no longer applied
+const SELECTOR_PROFILE_VERSION = 1;
+
+// CSS selectors for Atomi's markup. Class fragments such as Markdown_root come from hashed CSS-module
+// names and are what a redesign breaks first, so each one can be overridden on the options page
+const SELECTOR_DEFINITIONS = [
+  { key: 'article', label: 'Question area', default: 'article' },
+  { key: 'answerList', label: 'Multiple-choice answer list', default: 'ul[aria-labelledby]' },
+  { key: 'answerItems', label: 'Answer list items', default: 'ul[aria-labelledby] > li' },
+  { key: 'answerButton', label: 'Answer button inside an item', default: 'button[type="button"], [role="checkbox"], input[type="checkbox"]' },
+  { key: 'markdown', label: 'Rendered text in answers and around blanks', default: '[class*="Markdown"]' },
+  { key: 'markdownRoot', label: 'Working-out question and worked solution', default: '[class*="Markdown_root"]' },
+  { key: 'marks', label: 'Working-out marks', default: '[class*="marks"]' },
+  { key: 'feedback', label: 'Check Answer feedback (searched for "Correct" / "Incorrect")', default: '[role="status"], [aria-live], p, span, h2, h3, h4, div' },
+  { key: 'orderingItem', label: 'Ordering items', default: '[aria-roledescription="sortable"], [aria-roledescription="draggable"], [data-rbd-draggable-id], [data-rfd-draggable-id], [draggable="true"]' },
+  { key: 'videoPlayer', label: 'Video player', default: '[class*="VideoPlayer"], [class*="PostVideoPlayer"]' },
+  { key: 'wistiaEmbed', label: 'Wistia embed', default: '.wistia_embed, [id*="wistia"], wistia-player' },
+  { key: 'wistiaIframe', label: 'Wistia iframe', default: 'iframe[src*="wistia"]' },
+  { key: 'pagination', label: 'Lesson pagination', default: '[data-test="post-pagination"]' },
+  { key: 'paginationLink', label: 'Pagination links', default: 'a[data-test="post-pagination-link"]' },
+  { key: 'upNextLink', label: '"Up next" pagination link', default: '[class*="isDirectionSwitched"]' },
+  { key: 'breadcrumbs', label: 'Breadcrumbs (subject profiles)', default: 'nav[aria-label*="breadcrumb" i], [class*="breadcrumb" i], [data-test*="breadcrumb" i]' },
+];
+
+const DEFAULT_SELECTORS = Object.fromEntries(SELECTOR_DEFINITIONS.map(d => [d.key, d.default]));
+
+function selectorSyntaxError(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return null;
+  } catch (_) {
+    return 'is not a valid CSS selector';
+  }
+}
+
+// Returns a user-facing problem with an edited { version, selectors } profile, or null when it can be saved
+function selectorProfileError(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return 'Expected an object with "version" and "selectors"';
+  if (!Number.isInteger(profile.version) || profile.version < 1) return '"version" must be a whole number';
+  if (profile.version > SELECTOR_PROFILE_VERSION) return `Made for selector profile version ${profile.version}; this extension has version ${SELECTOR_PROFILE_VERSION}`;
+  const selectors = profile.selectors;
+  if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) return '"selectors" must be an object';
+  for (const [key, value] of Object.entries(selectors)) {
+    if (!(key in DEFAULT_SELECTORS)) return `Unknown selector "${key}"`;
+    if (typeof value !== 'string' || !value.trim()) return `"${key}" must be a non-empty string`;
+    const error = selectorSyntaxError(value);
+    if (error) return `"${key}" ${error}`;
+  }
+  return null;
+}
+
+// Stored overrides are only those that differ from the built-in selectors
+function selectorOverrides(selectors) {
+  const overrides = {};
+  for (const [key, value] of Object.entries(selectors)) {
+    if (value.trim() !== DEFAULT_SELECTORS[key]) overrides[key] = value.trim();
+  }
+  return overrides;
+}
+
+function isStaleSelectorProfile(stored) {
+  return !!stored && stored.version !== SELECTOR_PROFILE_VERSION;
+}
+
+// Current-version overrides over the built-in selectors; anything invalid falls back to the built-in one
+function resolveSelectors(stored) {
+  const selectors = { ...DEFAULT_SELECTORS };
+  if (!stored || isStaleSelectorProfile(stored)) return selectors;
+  for (const [key, value] of Object.entries(stored.selectors || {})) {
+    if (key in selectors && typeof value === 'string' && value.trim() && !selectorSyntaxError(value)) selectors[key] = value.trim();
+  }
+  return selectors;
+}